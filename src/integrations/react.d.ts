@@ -0,0 +1,75 @@
+/**
+ * Unified Theme - React Bindings Type Declarations
+ */
+
+import {
+  ButtonHTMLAttributes,
+  Context,
+  ElementType,
+  ForwardRefExoticComponent,
+  HTMLAttributes,
+  MouseEvent,
+  ReactElement,
+  ReactNode,
+  RefAttributes
+} from 'react';
+import {
+  AlertAppearance,
+  AlertVariant,
+  ButtonVariant,
+  CardVariant,
+  ComponentSize,
+  ThemePreference,
+  UnifiedTheme,
+  UnifiedThemeOptions
+} from '../unified-theme';
+
+export interface ThemeContextValue {
+  /** Null until the provider has mounted */
+  instance: UnifiedTheme | null;
+  theme: string | null;
+  preference: ThemePreference | null;
+  setTheme(name: ThemePreference): boolean;
+  setPreference(preference: ThemePreference): boolean;
+  toggleTheme(cycle?: ThemePreference[]): void;
+}
+
+export interface ThemeProviderProps {
+  /** Existing instance to use, e.g. window.unifiedTheme; it is not destroyed on unmount */
+  instance?: UnifiedTheme | null;
+  /** Options of the instance created on mount when none is passed, read once */
+  options?: UnifiedThemeOptions;
+  children?: ReactNode;
+}
+
+export interface ButtonProps extends ButtonHTMLAttributes<HTMLButtonElement> {
+  variant?: ButtonVariant;
+  size?: ComponentSize;
+  loading?: boolean;
+}
+
+export interface AlertProps extends HTMLAttributes<HTMLDivElement> {
+  variant?: AlertVariant;
+  size?: ComponentSize;
+  appearance?: AlertAppearance;
+  dismissible?: boolean;
+  /** Call preventDefault() to keep the alert visible */
+  onDismiss?: (e: MouseEvent<HTMLButtonElement>) => void;
+}
+
+export interface CardProps extends HTMLAttributes<HTMLElement> {
+  variant?: CardVariant;
+  size?: ComponentSize;
+  interactive?: boolean;
+  /** Element type, defaults to 'div' */
+  as?: ElementType;
+}
+
+export const ThemeContext: Context<ThemeContextValue | null>;
+
+export function ThemeProvider(props: ThemeProviderProps): ReactElement;
+export function useTheme(): ThemeContextValue | null;
+
+export const Button: ForwardRefExoticComponent<ButtonProps & RefAttributes<HTMLButtonElement>>;
+export const Alert: ForwardRefExoticComponent<AlertProps & RefAttributes<HTMLDivElement>>;
+export const Card: ForwardRefExoticComponent<CardProps & RefAttributes<HTMLElement>>;
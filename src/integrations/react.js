@@ -0,0 +1,169 @@
+/**
+ * Unified Theme - React Bindings
+ * ThemeProvider and useTheme() around a UnifiedTheme instance, and Button,
+ * Alert and Card components mapping props to the component classes
+ */
+
+import { createContext, createElement, forwardRef, useContext, useEffect, useMemo, useState } from 'react';
+import UnifiedTheme from '../utilities/theme-manager.js';
+import { alertClasses, alertRole, buttonClasses, cardClasses } from '../utilities/component-classes.js';
+
+const ThemeContext = createContext(null);
+
+/**
+ * Join component classes with the className prop
+ * @param {string[]} classes - Component classes
+ * @param {string} className - Classes passed by the caller
+ * @returns {string} Class attribute value
+ */
+function joinClasses(classes, className) {
+  return [...classes, className].filter(Boolean).join(' ');
+}
+
+/**
+ * Read the theme state of an instance
+ * @param {UnifiedTheme|null} instance - Theme instance
+ * @returns {object} { theme, preference }
+ */
+function readState(instance) {
+  return instance
+    ? { theme: instance.getTheme(), preference: instance.getPreference() }
+    : { theme: null, preference: null };
+}
+
+/**
+ * Provide a UnifiedTheme instance to the tree and re-render it on theme changes
+ * @param {object} props - Provider props
+ * @param {UnifiedTheme} props.instance - Existing instance to use, e.g. window.unifiedTheme; it is not destroyed on unmount
+ * @param {object} props.options - Options of the instance created on mount when none is passed, read once
+ * @param {*} props.children - Children
+ */
+function ThemeProvider({ instance = null, options = {}, children }) {
+  const [themeInstance, setThemeInstance] = useState(instance);
+  const [state, setState] = useState(() => readState(instance));
+  
+  useEffect(() => {
+    // Created on mount so server rendering never touches the DOM
+    const current = instance || new UnifiedTheme({ ...options, autoInit: false });
+    const owned = !instance;
+    
+    if (owned) {
+      current.init();
+    }
+    
+    setThemeInstance(current);
+    setState(readState(current));
+    
+    const unsubscribe = current.onThemeChange(detail => {
+      setState({ theme: detail.theme, preference: detail.preference });
+    });
+    
+    return () => {
+      unsubscribe();
+      
+      if (owned) {
+        current.destroy();
+      }
+    };
+  }, [instance]);
+  
+  const value = useMemo(() => ({
+    instance: themeInstance,
+    theme: state.theme,
+    preference: state.preference,
+    setTheme: name => (themeInstance ? themeInstance.setTheme(name) : false),
+    setPreference: preference => (themeInstance ? themeInstance.setPreference(preference) : false),
+    toggleTheme: cycle => (themeInstance ? themeInstance.toggleTheme(cycle) : undefined)
+  }), [themeInstance, state]);
+  
+  return createElement(ThemeContext.Provider, { value }, children);
+}
+
+/**
+ * Read the theme of the nearest ThemeProvider
+ * @returns {object|null} { instance, theme, preference, setTheme, setPreference, toggleTheme }
+ */
+function useTheme() {
+  const context = useContext(ThemeContext);
+  
+  if (!context) {
+    console.warn('useTheme() must be used inside a ThemeProvider');
+  }
+  
+  return context;
+}
+
+/**
+ * Button with the btn-* modifiers
+ * @param {object} props - variant, size, loading and the props of <button>
+ */
+const Button = forwardRef(function Button(
+  { variant, size, loading = false, disabled = false, type = 'button', className, children, ...props },
+  ref
+) {
+  return createElement('button', {
+    ...props,
+    ref,
+    type,
+    disabled: disabled || loading,
+    'aria-busy': loading || undefined,
+    className: joinClasses(buttonClasses({ variant, size, disabled, loading }), className)
+  }, children);
+});
+
+/**
+ * Alert with the alert-* modifiers; a dismissible alert hides itself unless
+ * onDismiss calls preventDefault() on the click event
+ * @param {object} props - variant, size, appearance, dismissible, onDismiss and the props of <div>
+ */
+const Alert = forwardRef(function Alert(
+  { variant = 'info', size, appearance, dismissible = false, onDismiss, className, children, ...props },
+  ref
+) {
+  const [visible, setVisible] = useState(true);
+  
+  if (!visible) return null;
+  
+  const handleDismiss = (e) => {
+    if (onDismiss) onDismiss(e);
+    if (!e.defaultPrevented) setVisible(false);
+  };
+  
+  return createElement('div', {
+    role: alertRole(variant),
+    ...props,
+    ref,
+    // Keeps the global alert dismissal from removing a node React owns
+    'data-ut-managed': '',
+    className: joinClasses(alertClasses({ variant, size, appearance, dismissible }), className)
+  }, children, dismissible && createElement('button', {
+    type: 'button',
+    className: 'alert-close',
+    'aria-label': 'Dismiss',
+    onClick: handleDismiss
+  }, '×'));
+});
+
+/**
+ * Card with the card-* modifiers
+ * @param {object} props - variant, size, interactive, as (element type) and the props of the element
+ */
+const Card = forwardRef(function Card(
+  { variant, size, interactive = false, as = 'div', className, children, ...props },
+  ref
+) {
+  return createElement(as, {
+    ...props,
+    ref,
+    className: joinClasses(cardClasses({ variant, size, interactive }), className)
+  }, children);
+});
+
+export {
+  ThemeContext,
+  ThemeProvider,
+  useTheme,
+  Button,
+  Alert,
+  Card
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Unified Theme - Vue Bindings Type Declarations
+ */
+
+import { DefineComponent, InjectionKey, Plugin, Ref, ShallowRef } from 'vue';
+import {
+  AlertAppearance,
+  AlertVariant,
+  ButtonVariant,
+  CardVariant,
+  ComponentSize,
+  ThemePreference,
+  UnifiedTheme,
+  UnifiedThemeOptions
+} from '../unified-theme';
+
+export interface ThemeContext {
+  /** Null during server rendering */
+  instance: ShallowRef<UnifiedTheme | null>;
+  theme: Readonly<Ref<string | null>>;
+  preference: Readonly<Ref<ThemePreference | null>>;
+  setTheme(name: ThemePreference): boolean;
+  setPreference(preference: ThemePreference): boolean;
+  toggleTheme(cycle?: ThemePreference[]): void;
+}
+
+export interface UnifiedThemePluginOptions extends UnifiedThemeOptions {
+  /** Existing instance to use, e.g. window.unifiedTheme; it is not destroyed on unmount */
+  instance?: UnifiedTheme | null;
+}
+
+export interface ButtonProps {
+  variant?: ButtonVariant;
+  size?: ComponentSize;
+  type?: 'button' | 'submit' | 'reset';
+  disabled?: boolean;
+  loading?: boolean;
+}
+
+export interface AlertProps {
+  variant?: AlertVariant;
+  size?: ComponentSize | null;
+  appearance?: AlertAppearance | null;
+  dismissible?: boolean;
+}
+
+export interface CardProps {
+  variant?: CardVariant | null;
+  size?: ComponentSize | null;
+  interactive?: boolean;
+  /** Element name, defaults to 'div' */
+  as?: string;
+}
+
+export const THEME_KEY: InjectionKey<ThemeContext>;
+
+export function createUnifiedTheme(options?: UnifiedThemePluginOptions): Plugin;
+export function useTheme(): ThemeContext | null;
+
+export const Button: DefineComponent<ButtonProps>;
+export const Alert: DefineComponent<AlertProps>;
+export const Card: DefineComponent<CardProps>;
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $theme: ThemeContext;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Unified Theme - Vue Bindings
+ * Plugin and useTheme() composable around a UnifiedTheme instance, and
+ * Button, Alert and Card components mapping props to the component classes
+ */
+
+import { defineComponent, h, inject, readonly, ref, shallowRef } from 'vue';
+import UnifiedTheme from '../utilities/theme-manager.js';
+import { alertClasses, alertRole, buttonClasses, cardClasses } from '../utilities/component-classes.js';
+
+const THEME_KEY = Symbol('unified-theme');
+
+/**
+ * Create the plugin providing a UnifiedTheme instance to the app
+ * @param {object} options - UnifiedTheme options
+ * @param {UnifiedTheme} options.instance - Existing instance to use, e.g. window.unifiedTheme; it is not destroyed on unmount
+ * @returns {object} Vue plugin
+ */
+function createUnifiedTheme({ instance = null, ...options } = {}) {
+  return {
+    install(app) {
+      const current = shallowRef(null);
+      const theme = ref(null);
+      const preference = ref(null);
+      let cleanup = null;
+      
+      const context = {
+        instance: current,
+        theme: readonly(theme),
+        preference: readonly(preference),
+        setTheme: name => (current.value ? current.value.setTheme(name) : false),
+        setPreference: value => (current.value ? current.value.setPreference(value) : false),
+        toggleTheme: cycle => (current.value ? current.value.toggleTheme(cycle) : undefined)
+      };
+      
+      // No instance during server rendering
+      if (typeof window !== 'undefined') {
+        const owned = !instance;
+        const themeInstance = instance || new UnifiedTheme({ ...options, autoInit: false });
+        
+        if (owned) {
+          themeInstance.init();
+        }
+        
+        current.value = themeInstance;
+        theme.value = themeInstance.getTheme();
+        preference.value = themeInstance.getPreference();
+        
+        const unsubscribe = themeInstance.onThemeChange(detail => {
+          theme.value = detail.theme;
+          preference.value = detail.preference;
+        });
+        
+        cleanup = () => {
+          unsubscribe();
+          
+          if (owned) {
+            themeInstance.destroy();
+          }
+        };
+      }
+      
+      app.provide(THEME_KEY, context);
+      app.config.globalProperties.$theme = context;
+      
+      const unmount = app.unmount;
+      app.unmount = function (...args) {
+        if (cleanup) cleanup();
+        return unmount.apply(this, args);
+      };
+    }
+  };
+}
+
+/**
+ * Read the theme provided by the plugin
+ * @returns {object|null} { instance, theme, preference, setTheme, setPreference, toggleTheme }, with refs for the state
+ */
+function useTheme() {
+  const context = inject(THEME_KEY, null);
+  
+  if (!context) {
+    console.warn('useTheme() requires the plugin from createUnifiedTheme()');
+  }
+  
+  return context;
+}
+
+/**
+ * Button with the btn-* modifiers
+ */
+const Button = defineComponent({
+  name: 'UnifiedButton',
+  props: {
+    variant: { type: String, default: 'primary' },
+    size: { type: String, default: 'md' },
+    type: { type: String, default: 'button' },
+    disabled: Boolean,
+    loading: Boolean
+  },
+  setup(props, { slots }) {
+    return () => h('button', {
+      type: props.type,
+      disabled: props.disabled || props.loading,
+      'aria-busy': props.loading || undefined,
+      class: buttonClasses(props)
+    }, slots.default && slots.default());
+  }
+});
+
+/**
+ * Alert with the alert-* modifiers; a dismissible alert emits dismiss and
+ * hides itself unless the listener calls preventDefault() on the click event
+ */
+const Alert = defineComponent({
+  name: 'UnifiedAlert',
+  props: {
+    variant: { type: String, default: 'info' },
+    size: { type: String, default: null },
+    appearance: { type: String, default: null },
+    dismissible: Boolean
+  },
+  emits: ['dismiss'],
+  setup(props, { slots, emit }) {
+    const visible = ref(true);
+    
+    const handleDismiss = (e) => {
+      emit('dismiss', e);
+      if (!e.defaultPrevented) visible.value = false;
+    };
+    
+    return () => {
+      if (!visible.value) return null;
+      
+      return h('div', {
+        role: alertRole(props.variant),
+        // Keeps the global alert dismissal from removing a node Vue owns
+        'data-ut-managed': '',
+        class: alertClasses(props)
+      }, [
+        slots.default && slots.default(),
+        props.dismissible && h('button', {
+          type: 'button',
+          class: 'alert-close',
+          'aria-label': 'Dismiss',
+          onClick: handleDismiss
+        }, '×')
+      ]);
+    };
+  }
+});
+
+/**
+ * Card with the card-* modifiers
+ */
+const Card = defineComponent({
+  name: 'UnifiedCard',
+  props: {
+    variant: { type: String, default: null },
+    size: { type: String, default: null },
+    interactive: Boolean,
+    as: { type: String, default: 'div' }
+  },
+  setup(props, { slots }) {
+    return () => h(props.as, { class: cardClasses(props) }, slots.default && slots.default());
+  }
+});
+
+export {
+  THEME_KEY,
+  createUnifiedTheme,
+  useTheme,
+  Button,
+  Alert,
+  Card
+};
\ No newline at end of file
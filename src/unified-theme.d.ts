@@ -0,0 +1,833 @@
+/**
+ * Unified Theme - Type Declarations
+ * Public API of the JavaScript entry point, its option objects and events
+ */
+
+// Themes
+
+/** Built-in color schemes; every theme maps to one of them */
+export type ColorScheme = 'light' | 'dark';
+
+/** A registered theme name, or 'system' to follow the OS */
+export type ThemePreference = 'light' | 'dark' | 'system' | (string & {});
+
+/** What caused a theme change */
+export type ThemeChangeSource = 'user' | 'system' | 'init' | 'tab' | 'frame' | 'scope';
+
+/** Design token overrides, e.g. { 'color-primary-600': '#000000' } */
+export type TokenMap = Record<string, string>;
+
+export interface ThemeChangedDetail {
+  /** Displayed theme, with 'system' resolved */
+  theme: string | null;
+  colorScheme: ColorScheme;
+  preference: ThemePreference;
+  source: ThemeChangeSource;
+}
+
+export interface ThemeOptions {
+  /** 'light' or 'dark', controls the dark class */
+  colorScheme?: ColorScheme;
+}
+
+export interface ThemeDefinition extends ThemeOptions {
+  tokens?: TokenMap;
+}
+
+/** 'reduced' keeps cross-fades and instant changes, 'none' only instant changes */
+export type MotionPolicy = 'full' | 'reduced' | 'none';
+
+/** A motion policy, or 'system' to follow prefers-reduced-motion */
+export type MotionPreference = MotionPolicy | 'system';
+
+// Storage
+
+export interface StorageAdapter {
+  get(key: string): string | null;
+  set(key: string, value: string): boolean;
+  remove(key: string): boolean;
+}
+
+export type StorageType = 'localStorage' | 'sessionStorage' | 'cookie' | 'memory';
+
+export interface CookieStorageOptions {
+  path?: string;
+  /** Lifetime in seconds */
+  maxAge?: number;
+  sameSite?: 'Strict' | 'Lax' | 'None' | (string & {});
+  domain?: string;
+  secure?: boolean;
+}
+
+export class WebStorageAdapter implements StorageAdapter {
+  constructor(type?: 'localStorage' | 'sessionStorage');
+  getStorage(): Storage | null;
+  get(key: string): string | null;
+  set(key: string, value: string): boolean;
+  remove(key: string): boolean;
+}
+
+export class CookieStorageAdapter implements StorageAdapter {
+  constructor(options?: CookieStorageOptions);
+  options: CookieStorageOptions;
+  get(key: string): string | null;
+  set(key: string, value: string): boolean;
+  remove(key: string): boolean;
+}
+
+export class MemoryStorageAdapter implements StorageAdapter {
+  get(key: string): string | null;
+  set(key: string, value: string): boolean;
+  remove(key: string): boolean;
+}
+
+// Theme manager
+
+export interface UnifiedThemeOptions {
+  /** Element to theme; anything other than <html> makes a scoped instance */
+  root?: HTMLElement | null;
+  /** Call init() from the constructor */
+  autoInit?: boolean;
+  enableDarkMode?: boolean;
+  /** Follow prefers-color-scheme when no preference is saved */
+  autoDetectPreference?: boolean;
+  storageKey?: string;
+  storage?: StorageType | StorageAdapter;
+  /** Motion policy used when none is saved */
+  motion?: MotionPreference;
+  motionStorageKey?: string;
+  themes?: Record<string, ThemeDefinition>;
+  themeCycle?: ThemePreference[] | null;
+  /** Log contrast failures of each theme as it is activated */
+  devMode?: boolean;
+  /** Sync the preference with other tabs using the same storageKey; not with sessionStorage or memory storage */
+  sync?: boolean;
+  /** Sync the preference with parent and child frames */
+  frameSync?: boolean;
+  /** Origins allowed to exchange frame messages, '*' allows any */
+  frameOrigins?: string[];
+  /** Defaults for every notification */
+  notifications?: NotificationManagerOptions;
+}
+
+/** Options of the page-wide instance, read from window.unifiedThemeConfig */
+export interface UnifiedThemeConfig extends UnifiedThemeOptions {
+  autoInit?: boolean;
+}
+
+export interface ContrastPair {
+  component: string;
+  selector: string;
+  foreground: string;
+  background: string;
+}
+
+export interface ContrastResult extends ContrastPair {
+  foregroundValue: string;
+  backgroundValue: string;
+  /** null when a color cannot be parsed, e.g. an oklch() value kept by the browser */
+  ratio: number | null;
+  required: number;
+  /** null for skipped pairs */
+  passed: boolean | null;
+  skipped: boolean;
+}
+
+export interface ContrastFailure extends ContrastResult {
+  theme: string;
+}
+
+export interface ContrastAuditOptions {
+  minRatio?: number;
+  pairs?: ContrastPair[];
+}
+
+export interface ContrastReport {
+  passed: boolean;
+  minRatio: number;
+  themes: Record<string, { passed: boolean; results: ContrastResult[] }>;
+  failures: ContrastFailure[];
+  /** Pairs with colors that could not be parsed */
+  skipped: ContrastFailure[];
+}
+
+/** notify() bound to its instance, carrying the rest of the notification API */
+export interface NotifyFunction {
+  /** Returns the notification element, its id set; added to the page once shown */
+  (message: string, options?: NotificationOptions): HTMLElement;
+  promise<T>(promise: Promise<T> | T, messages?: NotificationPromiseMessages<T>, options?: NotificationOptions): Promise<T> | T;
+  /** Patches the notification in place; restarts the timer only when changes include duration */
+  update(target: string | HTMLElement, changes?: NotificationOptions & { message?: string }): boolean;
+  dismiss(target: string | HTMLElement): boolean;
+  dismissAll(): void;
+}
+
+export class UnifiedTheme {
+  constructor(options?: UnifiedThemeOptions);
+
+  options: Required<Omit<UnifiedThemeOptions, 'root' | 'themeCycle'>> & UnifiedThemeOptions;
+  root: HTMLElement;
+  scoped: boolean;
+  /** Value of data-theme-scope on the root of a scoped instance */
+  scopeId: string | null;
+  initialized: boolean;
+  currentTheme: string;
+  preference: ThemePreference;
+  tokens: DesignTokens;
+  storage: StorageAdapter;
+  sync: ThemeSync;
+  notifications: NotificationManager;
+  navbars: Navbar[];
+  formValidators: FormValidator[];
+  notify: NotifyFunction;
+
+  static getBootstrapScript(options?: BootstrapOptions): string;
+  static resolveServerTheme(cookies: string, options?: ServerThemeOptions): ServerThemeState;
+
+  /** Attach the handlers; false if another instance is active on the same root */
+  init(): boolean;
+  /** Remove every listener, leaving the applied theme in place */
+  destroy(): void;
+
+  setPreference(preference: ThemePreference): boolean;
+  getPreference(): ThemePreference;
+  registerTheme(name: string, tokens?: TokenMap, options?: ThemeOptions): boolean;
+  hasTheme(name: string): boolean;
+  getColorSchemes(): Record<string, ColorScheme>;
+  listThemes(): string[];
+  setThemeCycle(names: ThemePreference[]): boolean;
+  getThemeCycle(): ThemePreference[];
+  setTheme(theme: ThemePreference): boolean;
+  applyTheme(theme: string, source?: ThemeChangeSource): boolean;
+  /** Theme a subtree, or pass null to inherit the page theme again */
+  applyTo(element: HTMLElement, theme: string | null): boolean;
+  toggleTheme(cycle?: ThemePreference[]): void;
+  getTheme(): string;
+  /** Set and save the motion policy; only the page instance can set it */
+  setMotion(policy: MotionPreference): boolean;
+  getMotion(): MotionPreference;
+  /** Listen for theme changes of this instance; returns a function removing the listener */
+  onThemeChange(callback: (detail: ThemeChangedDetail) => void): () => void;
+
+  getToken(name: string, element?: HTMLElement): string;
+  setTokens(tokens: TokenMap, element?: HTMLElement): void;
+  resetTokens(names?: string[] | null, element?: HTMLElement): void;
+  setBrandColor(color: string, family?: string): ColorScale | null;
+  resetBrandColor(family?: string): void;
+  auditContrast(options?: ContrastAuditOptions & { themes?: string[] }): ContrastReport;
+
+  dismissAlert(alert: HTMLElement): void;
+  toggleCollapse(element: HTMLElement): Promise<boolean>;
+  getDropdown(element: Element): Dropdown | null;
+  toggleDropdown(dropdown: Element): void;
+  closeAllDropdowns(): void;
+  openModal(id: string): boolean;
+  closeModal(id?: string | null): boolean;
+  getNavbar(element: HTMLElement): Navbar | null;
+  getTabs(element: Element): Tabs | null;
+  switchTab(tab: HTMLElement): void;
+  animateClass(element: HTMLElement, className: string, duration?: number): void;
+  getNotificationContainer(position: NotificationPosition): HTMLElement;
+}
+
+// Design tokens and colors
+
+export interface DesignTokensOptions {
+  /** Id of the style element holding the token rules */
+  styleId?: string;
+  /** Write rules as they are defined; with false, only once startRendering() is called */
+  render?: boolean;
+}
+
+export class DesignTokens {
+  constructor(options?: DesignTokensOptions);
+  static toProperty(name: string): string;
+  get(name: string, element?: HTMLElement): string;
+  set(tokens: TokenMap, element?: HTMLElement): void;
+  reset(names?: string[] | null, element?: HTMLElement): void;
+  /** Pass null tokens to remove the rule */
+  defineRule(selector: string | null, tokens: TokenMap | null, options?: { id?: string; priority?: number }): void;
+  renderRules(): void;
+  startRendering(): void;
+}
+
+export interface RGB {
+  r: number;
+  g: number;
+  b: number;
+}
+
+export interface OKLCH {
+  l: number;
+  c: number;
+  h: number;
+}
+
+export type Shade = 50 | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900;
+
+export type ColorScale = Record<Shade, string>;
+
+export class ColorUtils {
+  static readonly shades: Shade[];
+  static parse(color: string): RGB | null;
+  static toHex(rgb: RGB): string;
+  static rgbToOklch(rgb: RGB): OKLCH;
+  static oklchToRgb(oklch: OKLCH): RGB;
+  static oklchToHex(oklch: OKLCH): string;
+  static generateScale(seed: string): ColorScale | null;
+  static invertScale(scale: ColorScale): ColorScale;
+  static luminance(color: string | RGB): number | null;
+  static contrastRatio(foreground: string | RGB, background: string | RGB): number | null;
+}
+
+export class ContrastAudit {
+  constructor(options?: ContrastAuditOptions);
+  options: Required<ContrastAuditOptions>;
+  check(element: HTMLElement): ContrastResult[];
+}
+
+// Sync and bootstrap
+
+export interface ThemeSyncOptions {
+  tabs?: boolean;
+  frames?: boolean;
+  frameOrigins?: string[];
+}
+
+export class ThemeSync {
+  constructor(manager: UnifiedTheme, options?: ThemeSyncOptions);
+  connect(): void;
+  disconnect(): void;
+  broadcast(preference: ThemePreference, exclude?: Window | null): void;
+}
+
+export interface BootstrapOptions {
+  storageKey?: string;
+  storage?: StorageType;
+  autoDetectPreference?: boolean;
+  /** Theme names to color schemes, or a list of light themes */
+  themes?: Record<string, ColorScheme> | string[];
+}
+
+export interface ServerThemeOptions extends BootstrapOptions {
+  /** Color scheme hint, e.g. from the Sec-CH-Prefers-Color-Scheme header */
+  prefersDark?: boolean;
+}
+
+export interface ServerThemeState {
+  preference: ThemePreference;
+  theme: string;
+  colorScheme: ColorScheme;
+  /** Attributes for the <html> element */
+  attributes: {
+    'data-theme': string;
+    'data-theme-preference': string;
+    class: ColorScheme;
+  };
+}
+
+export function getBootstrapScript(options?: BootstrapOptions): string;
+export function resolveServerTheme(cookies: string, options?: ServerThemeOptions): ServerThemeState;
+
+// Animations
+
+/** Animations accepted by animate() and data-animate */
+export type AnimationName =
+  | 'fadeIn'
+  | 'fadeOut'
+  | 'slideDown'
+  | 'slideUp'
+  | 'scaleIn'
+  | 'scaleOut'
+  | 'bounce'
+  | 'shake';
+
+export interface AnimateOnScrollOptions {
+  /** Visible fraction that triggers the animation */
+  threshold?: number;
+  /** Animation name, or a function starting the animation */
+  animation?: AnimationName | ((element: HTMLElement) => AnimationHandle | AnimationGroup | PromiseLike<unknown> | void);
+  duration?: number;
+  delay?: number;
+  /** Animate the children instead, each this many ms after the previous one */
+  stagger?: number | null;
+  /** Margin around the viewport, e.g. '0px 0px -100px 0px' */
+  rootMargin?: string;
+  /** Animate only the first time; false animates on every entry */
+  once?: boolean;
+  /** Animation played when the element leaves, with once: false */
+  exit?: AnimationName | null;
+}
+
+export interface CounterOptions {
+  /**
+   * Intl.NumberFormat options, e.g. { style: 'currency', currency: 'EUR' }, or a shorthand:
+   * 'compact', 'percent' (values in percent, 99.5 shows as 99.5%) or 'currency:EUR'
+   */
+  format?: Intl.NumberFormatOptions | string;
+  /** Defaults to the browser's locale */
+  locale?: string;
+  prefix?: string;
+  suffix?: string;
+  /** Fixed number of decimals, defaults to those of the values */
+  decimals?: number | null;
+  /** CSS easing, or a function mapping progress (0-1) to progress */
+  easing?: string | ((progress: number) => number);
+}
+
+/**
+ * Awaitable handle of a running animation. Awaiting it resolves true once the
+ * animation completes, or false if it is cancelled or interrupted by another
+ * animation on the same element.
+ */
+export interface AnimationHandle extends PromiseLike<boolean> {
+  readonly element: HTMLElement;
+  /** null where the Web Animations API is not available */
+  readonly animation: Animation | null;
+  readonly finished: Promise<boolean>;
+  readonly settled: boolean;
+  readonly playState: AnimationPlayState;
+  cancel(): void;
+  finish(): void;
+  /** Play backwards; completing then restores the state the element started in */
+  reverse(): void;
+  pause(): void;
+  play(): void;
+}
+
+/**
+ * Handle of animations started by sequence(), parallel() or stagger(). Awaiting
+ * it resolves true once every animation completes, or false if the group is
+ * cancelled; cancelling or interrupting one animation cancels the group.
+ */
+export interface AnimationGroup extends PromiseLike<boolean> {
+  readonly finished: Promise<boolean>;
+  readonly settled: boolean;
+  readonly playState: 'running' | 'paused' | 'finished' | 'idle';
+  cancel(): void;
+  /** Start the pending animations and jump every animation to its end */
+  finish(): void;
+  pause(): void;
+  play(): void;
+}
+
+/** A function returning a handle, or an animation to run after an optional delay */
+export type AnimationStep =
+  | (() => AnimationHandle | AnimationGroup | PromiseLike<unknown> | void)
+  | { element?: HTMLElement; animation?: AnimationName; duration?: number; delay?: number };
+
+export interface StaggerOptions {
+  /** Offset between two elements in ms */
+  each?: number;
+  /** Delay before the first element in ms */
+  delay?: number;
+  duration?: number;
+  /** Element starting first */
+  from?: 'start' | 'end' | 'center';
+}
+
+export interface RunAnimationOptions {
+  /** Keyframes, or a function returning them once start() has run */
+  keyframes: Keyframe[] | (() => Keyframe[]);
+  /** Keyframes for the 'reduced' policy; without them the end state is applied at once */
+  reduced?: Keyframe[] | null;
+  duration?: number;
+  easing?: string;
+  iterations?: number;
+  start?: () => void;
+  complete?: () => void;
+  revert?: () => void;
+  cleanup?: () => void;
+  callback?: () => void;
+}
+
+export class AnimationUtils {
+  /** Motion policy of every instance */
+  static setMotionPolicy(policy: MotionPreference): boolean;
+  /** Policy in effect, with 'system' resolved */
+  static getMotionPolicy(): MotionPolicy;
+  static getMotionPreference(): MotionPreference;
+  defaultDuration: number;
+  defaultEasing: string;
+  run(element: HTMLElement, options: RunAnimationOptions): AnimationHandle;
+  getAnimation(element: HTMLElement): AnimationHandle | null;
+  cancel(element: HTMLElement): void;
+  fadeIn(element: HTMLElement, duration?: number, callback?: (() => void) | null): AnimationHandle;
+  fadeOut(element: HTMLElement, duration?: number, callback?: (() => void) | null): AnimationHandle;
+  slideDown(element: HTMLElement, duration?: number, callback?: (() => void) | null): AnimationHandle;
+  slideUp(element: HTMLElement, duration?: number, callback?: (() => void) | null): AnimationHandle;
+  scaleIn(element: HTMLElement, duration?: number, callback?: (() => void) | null, startScale?: number): AnimationHandle;
+  scaleOut(element: HTMLElement, duration?: number, callback?: (() => void) | null): AnimationHandle;
+  bounce(element: HTMLElement, intensity?: number, duration?: number): AnimationHandle;
+  shake(element: HTMLElement, intensity?: number, duration?: number): AnimationHandle;
+  /** Repeats until cancelled */
+  pulse(element: HTMLElement, scale?: number): AnimationHandle;
+  ripple(element: HTMLElement, event: MouseEvent): AnimationHandle;
+  animateCounter(element: HTMLElement, start: number, end: number, duration?: number, options?: CounterOptions): AnimationHandle;
+  /** Count from the current value to end, which defaults to data-counter-end */
+  updateCounter(element: HTMLElement, end?: number, options?: CounterOptions & { start?: number; duration?: number }): AnimationHandle;
+  /** Count up when scrolled into view, and again whenever data-counter-end changes */
+  setupCounter(element: HTMLElement, options?: CounterOptions & { start?: number; duration?: number }): Promise<boolean>;
+  sequence(steps: AnimationStep[]): AnimationGroup;
+  parallel(steps: AnimationStep[]): AnimationGroup;
+  stagger(
+    elements: ArrayLike<HTMLElement> | Iterable<HTMLElement>,
+    animation: AnimationName | ((element: HTMLElement, index: number) => AnimationHandle | AnimationGroup | PromiseLike<unknown> | void),
+    options?: StaggerOptions
+  ): AnimationGroup;
+  startStep(step: AnimationStep): AnimationHandle | AnimationGroup;
+  /** Resolves once the animation, or every staggered one, first completes, or false if cancelled before */
+  animateOnScroll(element: HTMLElement, options?: AnimateOnScrollOptions): Promise<boolean>;
+  /** Stop the scroll animations waiting on an element */
+  cancelOnScroll(element: HTMLElement): void;
+  animate(element: HTMLElement, animation: AnimationName, duration?: number, callback?: (() => void) | null): AnimationHandle;
+}
+
+// Notifications
+
+export type NotificationPosition =
+  | 'top-right'
+  | 'top-left'
+  | 'top-center'
+  | 'bottom-right'
+  | 'bottom-left'
+  | 'bottom-center';
+
+export type AlertVariant = 'primary' | 'secondary' | 'success' | 'warning' | 'error' | 'info' | 'neutral';
+
+export interface NotificationAction {
+  label: string;
+  onClick?: (id: string) => void;
+  /** Dismiss the notification when clicked, defaults to true */
+  dismiss?: boolean;
+}
+
+export interface NotificationManagerOptions {
+  /** Notifications shown at once, the rest wait in a queue */
+  maxVisible?: number;
+  type?: AlertVariant;
+  /** Time before dismissal in ms, 0 to stay until dismissed */
+  duration?: number;
+  position?: NotificationPosition;
+  dismissible?: boolean;
+  /** Pause the timer while hovered or focused */
+  pauseOnHover?: boolean;
+}
+
+export interface NotificationOptions extends NotificationManagerOptions {
+  /** Id to update or dismiss it by; a notification with the same id is updated instead */
+  id?: string;
+  title?: string;
+  actions?: NotificationAction[];
+  /** true for a countdown bar, or a 0-1 value for a progress bar */
+  progress?: boolean | number;
+  onDismiss?: (id: string) => void;
+  /** Will change into another message, as with promise(); never merged with another notification */
+  loading?: boolean;
+}
+
+export interface NotificationPromiseMessages<T> {
+  loading?: string;
+  success?: string | ((value: T) => string);
+  error?: string | ((error: unknown) => string);
+}
+
+export class NotificationManager {
+  constructor(options?: NotificationManagerOptions);
+  options: Required<NotificationManagerOptions>;
+  notify(message: string, options?: NotificationOptions): HTMLElement;
+  update(target: string | HTMLElement, changes?: NotificationOptions & { message?: string }): boolean;
+  dismiss(target: string | HTMLElement): boolean;
+  dismissAll(): void;
+  promise<T>(promise: Promise<T> | T, messages?: NotificationPromiseMessages<T>, options?: NotificationOptions): Promise<T> | T;
+  /** Ids of every notification, visible first */
+  list(): string[];
+  getContainer(position: NotificationPosition): HTMLElement;
+}
+
+// Components
+
+export type DropdownPlacement = 'bottom-start' | 'bottom-end' | 'top-start' | 'top-end';
+
+export interface DropdownOptions {
+  placement?: DropdownPlacement;
+  /** Gap between the toggle and the menu, in pixels */
+  offset?: number;
+  /** Minimum distance from the viewport edges, in pixels */
+  padding?: number;
+  /** Time before the typeahead buffer resets, in ms */
+  typeaheadTimeout?: number;
+}
+
+export class Dropdown {
+  constructor(element: HTMLElement, options?: DropdownOptions);
+  static getOrCreate(element: HTMLElement, options?: DropdownOptions): Dropdown;
+  static hideAll(): void;
+  element: HTMLElement;
+  options: Required<DropdownOptions>;
+  toggleElement: HTMLElement;
+  menu: HTMLElement | null;
+  isOpen(): boolean;
+  getItems(): HTMLElement[];
+  show(focus?: 'first' | 'last' | null): boolean;
+  hide(returnFocus?: boolean): boolean;
+  toggle(focus?: 'first' | 'last' | null): boolean;
+  position(): void;
+  handleClick(e: MouseEvent): void;
+  handleKeydown(e: KeyboardEvent): void;
+  dispose(): void;
+}
+
+export interface TabsOptions {
+  /** 'auto' selects tabs as they receive focus, 'manual' waits for Enter or Space */
+  activation?: 'auto' | 'manual';
+  orientation?: 'horizontal' | 'vertical';
+  /** Write the selected panel id to the URL hash */
+  hash?: boolean;
+}
+
+export interface TabsSelectOptions {
+  focus?: boolean;
+  updateHash?: boolean;
+  silent?: boolean;
+}
+
+export class Tabs {
+  constructor(element: HTMLElement, options?: TabsOptions);
+  static getOrCreate(element: HTMLElement, options?: TabsOptions): Tabs;
+  static selectFromHash(hash?: string): boolean;
+  element: HTMLElement;
+  options: Required<TabsOptions>;
+  getTabs(): HTMLElement[];
+  getEnabledTabs(): HTMLElement[];
+  getPanel(tab: HTMLElement): HTMLElement | null;
+  getSelected(): HTMLElement | null;
+  /** Tab element, panel id or index */
+  select(tab: HTMLElement | string | number, options?: TabsSelectOptions): boolean;
+  handleClick(e: MouseEvent): void;
+  handleKeydown(e: KeyboardEvent): void;
+  dispose(): void;
+}
+
+export interface ModalOptions {
+  /** Close on Escape and backdrop clicks, false with data-modal-static */
+  dismissible?: boolean;
+  /** Open and close transition in ms */
+  duration?: number;
+}
+
+export class Modal {
+  constructor(element: HTMLElement, options?: ModalOptions);
+  static getOrCreate(element: HTMLElement, options?: ModalOptions): Modal;
+  static getTop(): Modal | null;
+  element: HTMLElement;
+  dialog: HTMLElement;
+  options: Required<ModalOptions>;
+  isOpen(): boolean;
+  isTop(): boolean;
+  show(): boolean;
+  hide(): boolean;
+  toggle(): boolean;
+  focusFirst(): void;
+  handleClick(e: MouseEvent): void;
+}
+
+export interface NavbarOptions {
+  /** Breakpoint token above which the menu is always expanded */
+  breakpoint?: 'sm' | 'md' | 'lg' | 'xl' | '2xl' | (string & {});
+  hideOnScroll?: boolean;
+  /** Distance scrolled before the navbar hides, in pixels */
+  scrollOffset?: number;
+}
+
+export class Navbar {
+  constructor(element: HTMLElement, options?: NavbarOptions);
+  element: HTMLElement;
+  toggler: HTMLElement | null;
+  collapse: HTMLElement | null;
+  options: Required<NavbarOptions>;
+  isOpen(): boolean;
+  show(): boolean;
+  hide(returnFocus?: boolean): boolean;
+  toggle(): boolean;
+  dispose(): void;
+}
+
+export interface CollapseOptions {
+  /** Id of the accordion group */
+  parent?: string | null;
+  /** Height transition in ms */
+  duration?: number;
+}
+
+export class Collapse {
+  constructor(element: HTMLElement, options?: CollapseOptions);
+  static getOrCreate(element: HTMLElement, options?: CollapseOptions): Collapse;
+  element: HTMLElement;
+  options: Required<CollapseOptions>;
+  isOpen(): boolean;
+  getToggles(): HTMLElement[];
+  /** Resolves true once shown, false if cancelled or interrupted */
+  show(): Promise<boolean>;
+  hide(): Promise<boolean>;
+  toggle(): Promise<boolean>;
+  dispose(): void;
+}
+
+export type FieldElement = HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
+
+export interface ValidatorContext {
+  field: FieldElement;
+  form: HTMLFormElement;
+  /** Value of the data-validate-<name> attribute */
+  param: string;
+}
+
+/** true or undefined when valid, false or an error message when invalid, { warning } to warn */
+export type ValidatorOutcome = boolean | string | { warning: string } | undefined;
+
+export type Validator = (value: string, context: ValidatorContext) => ValidatorOutcome | Promise<ValidatorOutcome>;
+
+export interface ValidationResult {
+  valid: boolean;
+  state: 'error' | 'warning' | 'success' | null;
+  message: string;
+}
+
+export interface FormValidatorOptions {
+  /** 'blur' validates fields as they lose focus and on submit */
+  validateOn?: 'blur' | 'submit';
+  showSuccess?: boolean;
+  /** Error messages by native validity flag, e.g. { valueMissing: 'Required' } */
+  messages?: Partial<Record<keyof Omit<ValidityState, 'valid' | 'customError'>, string>>;
+  validators?: Record<string, Validator>;
+}
+
+export class FormValidator {
+  constructor(form: HTMLFormElement, options?: FormValidatorOptions);
+  static getOrCreate(form: HTMLFormElement, options?: FormValidatorOptions): FormValidator;
+  static register(name: string, validator: Validator): boolean;
+  form: HTMLFormElement;
+  options: Required<FormValidatorOptions>;
+  getFields(): FieldElement[];
+  validate(): Promise<boolean>;
+  validateField(field: FieldElement): Promise<ValidationResult>;
+  clearField(field: FieldElement): void;
+  reset(): void;
+  dispose(): void;
+}
+
+// Component classes, shared by the custom elements and the framework bindings
+
+export type ButtonVariant =
+  | 'primary'
+  | 'secondary'
+  | 'success'
+  | 'warning'
+  | 'error'
+  | 'outline'
+  | 'outline-primary'
+  | 'ghost'
+  | 'link'
+  | (string & {});
+
+export type ComponentSize = 'xs' | 'sm' | 'md' | 'lg' | 'xl';
+
+export type AlertAppearance = 'solid' | 'outline' | 'left-accent';
+
+export type CardVariant = 'elevated' | 'outlined' | 'filled';
+
+// Custom elements
+
+export class UtButton extends HTMLElement {
+  disabled: boolean;
+  loading: boolean;
+  readonly form: HTMLFormElement | null;
+}
+
+export class UtAlert extends HTMLElement {
+  /** False if an alert:dismiss listener called preventDefault() */
+  dismiss(): boolean;
+}
+
+export class UtCard extends HTMLElement {}
+
+export class UtTabs extends HTMLElement {
+  controller: Tabs | null;
+  select(tab: HTMLElement | string | number): boolean;
+}
+
+export class UtDropdown extends HTMLElement {
+  controller: Dropdown | null;
+  show(): boolean;
+  hide(): boolean;
+  toggle(): boolean;
+}
+
+/** Register the <ut-*> elements; false where custom elements are not supported */
+export function defineElements(): boolean;
+
+// Page-wide instance
+
+/** Create the page-wide instance, or return the existing one */
+export function init(options?: UnifiedThemeConfig): UnifiedTheme;
+/** Remove the page-wide instance and its global handlers */
+export function destroy(): void;
+
+/** The page-wide instance, null until init() */
+export const themeManager: UnifiedTheme | null;
+export const animationUtils: AnimationUtils;
+
+// Events
+
+export interface UnifiedThemeEventMap {
+  'collapse:show': CustomEvent<{ collapse: Collapse }>;
+  'collapse:hide': CustomEvent<{ collapse: Collapse }>;
+  'collapse:shown': CustomEvent<{ collapse: Collapse }>;
+  'collapse:hidden': CustomEvent<{ collapse: Collapse }>;
+  'dropdown:show': CustomEvent<{ dropdown: Dropdown }>;
+  'dropdown:hide': CustomEvent<{ dropdown: Dropdown }>;
+  'modal:show': CustomEvent<{ modal: Modal }>;
+  'modal:hide': CustomEvent<{ modal: Modal }>;
+  'navbar:show': CustomEvent<{ navbar: Navbar }>;
+  'navbar:hide': CustomEvent<{ navbar: Navbar }>;
+  'tabs:change': CustomEvent<{
+    tab: HTMLElement;
+    panel: HTMLElement | null;
+    previousTab: HTMLElement | null;
+    previousPanel: HTMLElement | null;
+    tabs: Tabs;
+  }>;
+  'form:valid': CustomEvent<{ validator: FormValidator }>;
+  'form:invalid': CustomEvent<{ field: FieldElement | undefined; validator: FormValidator }>;
+  'alert:dismiss': CustomEvent<{ alert: UtAlert }>;
+}
+
+declare global {
+  interface WindowEventMap {
+    themeChanged: CustomEvent<ThemeChangedDetail>;
+  }
+
+  // Component events bubble, and scoped instances dispatch themeChanged on their root
+  interface HTMLElementEventMap extends UnifiedThemeEventMap {
+    themeChanged: CustomEvent<ThemeChangedDetail>;
+  }
+
+  interface DocumentEventMap extends UnifiedThemeEventMap {}
+
+  interface HTMLElementTagNameMap {
+    'ut-button': UtButton;
+    'ut-alert': UtAlert;
+    'ut-card': UtCard;
+    'ut-tabs': UtTabs;
+    'ut-dropdown': UtDropdown;
+  }
+
+  interface Window {
+    /** Set before the script loads to configure the page-wide instance */
+    unifiedThemeConfig?: UnifiedThemeConfig;
+    /** The page-wide instance, null after destroy() */
+    unifiedTheme: UnifiedTheme | null;
+    animationUtils: AnimationUtils;
+  }
+}
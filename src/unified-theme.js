@@ -5,31 +5,47 @@
 
 import UnifiedTheme from './utilities/theme-manager.js';
 import AnimationUtils from './utilities/animations.js';
+import Collapse from './utilities/collapse.js';
+import ColorUtils from './utilities/color.js';
+import ContrastAudit from './utilities/contrast-audit.js';
+import DesignTokens from './utilities/design-tokens.js';
+import Dropdown from './utilities/dropdown.js';
+import { UtButton, UtAlert, UtCard, UtTabs, UtDropdown, defineElements } from './utilities/elements.js';
+import FormValidator from './utilities/form-validation.js';
+import Modal from './utilities/modal.js';
+import Navbar from './utilities/navbar.js';
+import NotificationManager from './utilities/notifications.js';
+import { getBootstrapScript, resolveServerTheme } from './utilities/bootstrap.js';
+import {
+  WebStorageAdapter,
+  CookieStorageAdapter,
+  MemoryStorageAdapter
+} from './utilities/storage.js';
+import Tabs from './utilities/tabs.js';
+import ThemeSync from './utilities/theme-sync.js';
+
+// Options for the page-wide instance. Set before the script loads, e.g.
+// window.unifiedThemeConfig = { autoInit: false } to call init() yourself.
+const config = {
+  autoInit: true,
+  ...(typeof window !== 'undefined' ? window.unifiedThemeConfig : null)
+};
 
 // Create instances
-const themeManager = new UnifiedTheme();
+let themeManager = null;
 const animationUtils = new AnimationUtils();
 
-// CSS Ripple effect keyframes
-const rippleStyles = `
-@keyframes ripple {
-  to {
-    transform: scale(4);
-    opacity: 0;
-  }
-}
-`;
-
-// Inject ripple styles if not already present
-if (!document.querySelector('#unified-theme-animations')) {
-  const style = document.createElement('style');
-  style.id = 'unified-theme-animations';
-  style.textContent = rippleStyles;
-  document.head.appendChild(style);
-}
+// Elements with data-animate or data-counter already set up
+const autoAnimated = new WeakSet();
+
+// Watches for data-animate and data-counter elements added or removed later
+let autoAnimateObserver = null;
 
 // Add ripple effect to buttons
-document.addEventListener('click', (e) => {
+function handleRipple(e) {
+  // Left alone with reduced motion, rather than only skipping the animation
+  if (AnimationUtils.getMotionPolicy() !== 'full') return;
+  
   const button = e.target.closest('.btn');
   if (button && !button.classList.contains('btn-link')) {
     // Ensure button has relative positioning for ripple
@@ -41,52 +57,184 @@ document.addEventListener('click', (e) => {
     
     animationUtils.ripple(button, e);
   }
-});
-
-// Auto-animate elements with data attributes
-document.addEventListener('DOMContentLoaded', () => {
-  // Animate counters
-  const counters = document.querySelectorAll('[data-counter]');
-  counters.forEach(counter => {
-    const start = parseInt(counter.getAttribute('data-counter-start') || '0');
-    const end = parseInt(counter.getAttribute('data-counter-end') || counter.textContent);
-    const duration = parseInt(counter.getAttribute('data-counter-duration') || '2000');
-    
-    animationUtils.animateOnScroll(counter, {
-      animation: 'custom',
-      threshold: 0.5
-    });
-    
-    // Override the animate method to use counter animation
-    const originalAnimate = animationUtils.animate;
-    animationUtils.animate = function(element, animation) {
-      if (element === counter && animation === 'custom') {
-        animationUtils.animateCounter(element, start, end, duration);
-      } else {
-        originalAnimate.call(this, element, animation);
-      }
-    };
+}
+
+/**
+ * Create the page-wide theme instance and global handlers.
+ * Calling it again returns the existing instance.
+ * @param {object} options - UnifiedTheme options, defaults to window.unifiedThemeConfig
+ * @returns {UnifiedTheme} The page instance
+ */
+function init(options = config) {
+  if (themeManager) return themeManager;
+  
+  const { autoInit, ...themeOptions } = options;
+  themeManager = new UnifiedTheme(themeOptions);
+  
+  // Another copy of the library is already handling this page
+  if (!themeManager.initialized) return themeManager;
+  
+  document.addEventListener('click', handleRipple);
+  window.unifiedTheme = themeManager;
+  
+  // Elements are looked up once the document is parsed
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startAutoAnimations);
+  } else {
+    startAutoAnimations();
+  }
+  
+  return themeManager;
+}
+
+/**
+ * Remove the page-wide instance and its global handlers, e.g. before
+ * re-initializing after a route change or between tests
+ */
+function destroy() {
+  if (!themeManager) return;
+  
+  themeManager.destroy();
+  document.removeEventListener('click', handleRipple);
+  document.removeEventListener('DOMContentLoaded', startAutoAnimations);
+  
+  if (autoAnimateObserver) {
+    autoAnimateObserver.disconnect();
+    autoAnimateObserver = null;
+  }
+  
+  if (window.unifiedTheme === themeManager) {
+    window.unifiedTheme = null;
+  }
+  
+  themeManager = null;
+}
+
+if (config.autoInit) {
+  init();
+}
+
+/**
+ * Find the elements matching a selector in a subtree, the root included
+ * @param {Element|Document} root - Subtree root
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements
+ */
+function findAll(root, selector) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  return root.matches && root.matches(selector) ? [root, ...matches] : matches;
+}
+
+/**
+ * Animate an element with data attributes when it scrolls into view
+ * @param {HTMLElement} element - Element with [data-animate]
+ */
+function setupAnimateOnScroll(element) {
+  const animation = element.getAttribute('data-animate');
+  const delay = parseInt(element.getAttribute('data-animate-delay') || '0');
+  const duration = parseInt(element.getAttribute('data-animate-duration') || '600');
+  const stagger = element.hasAttribute('data-animate-stagger')
+    ? parseInt(element.getAttribute('data-animate-stagger') || '100')
+    : null;
+  
+  animationUtils.animateOnScroll(element, {
+    animation,
+    delay,
+    duration,
+    stagger,
+    rootMargin: element.getAttribute('data-animate-root-margin') || '0px',
+    once: element.getAttribute('data-animate-once') !== 'false',
+    exit: element.getAttribute('data-animate-exit')
+  });
+}
+
+/**
+ * Set up the data-animate and data-counter elements of a subtree
+ * @param {Element|Document} root - Subtree root
+ */
+function setupAutoAnimations(root) {
+  // Count up when scrolled into view, and again when data-counter-end changes
+  findAll(root, '[data-counter]').forEach(counter => {
+    if (autoAnimated.has(counter)) return;
+    autoAnimated.add(counter);
+    animationUtils.setupCounter(counter);
   });
   
-  // Animate elements on scroll
-  const animateElements = document.querySelectorAll('[data-animate]');
-  animateElements.forEach(element => {
-    const animation = element.getAttribute('data-animate');
-    const delay = parseInt(element.getAttribute('data-animate-delay') || '0');
-    const duration = parseInt(element.getAttribute('data-animate-duration') || '600');
+  // Animate elements on scroll; with data-animate-stagger the children
+  // are animated instead, one after another
+  findAll(root, '[data-animate]').forEach(element => {
+    if (autoAnimated.has(element)) return;
+    autoAnimated.add(element);
+    setupAnimateOnScroll(element);
+  });
+}
+
+/**
+ * Stop the scroll animations of the removed elements of a subtree
+ * @param {Element} root - Removed subtree root
+ */
+function teardownAutoAnimations(root) {
+  findAll(root, '[data-animate], [data-counter]').forEach(element => {
+    // Moved rather than removed
+    if (element.isConnected) return;
     
-    animationUtils.animateOnScroll(element, {
-      animation,
-      delay,
-      duration
+    autoAnimated.delete(element);
+    animationUtils.cancelOnScroll(element);
+  });
+}
+
+/**
+ * Set up the data-animate and data-counter elements of the page, and those
+ * rendered later until destroy()
+ */
+function startAutoAnimations() {
+  if (autoAnimateObserver) return;
+  
+  setupAutoAnimations(document);
+  
+  autoAnimateObserver = new MutationObserver((mutations) => {
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) teardownAutoAnimations(node);
+      });
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) setupAutoAnimations(node);
+      });
     });
   });
-});
+  
+  autoAnimateObserver.observe(document.body, { childList: true, subtree: true });
+}
 
 // Export everything for use in other modules
 export {
   UnifiedTheme,
   AnimationUtils,
+  Collapse,
+  ColorUtils,
+  ContrastAudit,
+  DesignTokens,
+  Dropdown,
+  FormValidator,
+  Modal,
+  Navbar,
+  NotificationManager,
+  WebStorageAdapter,
+  CookieStorageAdapter,
+  MemoryStorageAdapter,
+  Tabs,
+  ThemeSync,
+  UtButton,
+  UtAlert,
+  UtCard,
+  UtTabs,
+  UtDropdown,
+  defineElements,
+  getBootstrapScript,
+  resolveServerTheme,
+  init,
+  destroy,
   themeManager,
   animationUtils
 };
@@ -95,6 +243,22 @@ export {
 if (typeof window !== 'undefined') {
   window.UnifiedTheme = UnifiedTheme;
   window.AnimationUtils = AnimationUtils;
-  window.unifiedTheme = themeManager;
+  window.Collapse = Collapse;
+  window.ColorUtils = ColorUtils;
+  window.ContrastAudit = ContrastAudit;
+  window.DesignTokens = DesignTokens;
+  window.Dropdown = Dropdown;
+  window.FormValidator = FormValidator;
+  window.Modal = Modal;
+  window.Navbar = Navbar;
+  window.NotificationManager = NotificationManager;
+  window.WebStorageAdapter = WebStorageAdapter;
+  window.CookieStorageAdapter = CookieStorageAdapter;
+  window.MemoryStorageAdapter = MemoryStorageAdapter;
+  window.Tabs = Tabs;
+  window.ThemeSync = ThemeSync;
   window.animationUtils = animationUtils;
+  
+  // <ut-button>, <ut-alert>, <ut-card>, <ut-tabs> and <ut-dropdown>
+  defineElements();
 }
\ No newline at end of file
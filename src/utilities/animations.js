@@ -1,33 +1,697 @@
 /**
  * Unified Theme - Animation Utilities
- * Utility functions for animations and transitions
+ * Utility functions for animations and transitions, built on the Web
+ * Animations API. Every method returns a handle that can be awaited and
+ * controlled, and a new animation interrupts the one running on the same element.
  */
 
+// Handle of the animation running on each element
+const running = new WeakMap();
+
+const MOTION_POLICIES = ['full', 'reduced', 'none'];
+
+// Motion policy set at runtime, 'system' follows prefers-reduced-motion
+let motionPreference = 'system';
+
+// Value each counter shows, so a new target animates from there
+const counterValues = new WeakMap();
+
+// Ease-out cubic
+const COUNTER_EASING = 'cubic-bezier(0.33, 1, 0.68, 1)';
+
+// Shared IntersectionObservers, keyed by threshold and root margin
+const observerPool = new Map();
+
+// Stops of the scroll animations waiting on each element
+const scrollWatchers = new WeakMap();
+
+// Attribute observer of each counter
+const counterObservers = new WeakMap();
+
+/**
+ * Controllable, awaitable handle of a running animation.
+ * Awaiting it resolves true once the animation completes, or false if it is
+ * cancelled or interrupted by another animation on the same element.
+ */
+class AnimationHandle {
+  /**
+   * @param {HTMLElement} element - Animated element
+   * @param {Animation|null} animation - Web Animation, or null when there is nothing to animate
+   * @param {object} hooks - State changes around the animation
+   * @param {function} hooks.complete - Applies the end state once the animation completes
+   * @param {function} hooks.revert - Applies the start state once a reversed animation completes
+   * @param {function} hooks.cleanup - Removes temporary styles, whether completed or not
+   */
+  constructor(element, animation, hooks = {}) {
+    this.element = element;
+    this.animation = animation;
+    this.hooks = hooks;
+    this.reversed = false;
+    this.settled = false;
+    
+    this.finished = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+    
+    if (animation) {
+      animation.finished.then(() => this.settle(true), () => this.settle(false));
+    } else {
+      this.settle(true);
+    }
+  }
+  
+  /**
+   * Current play state: 'idle', 'running', 'paused' or 'finished'
+   */
+  get playState() {
+    return this.animation ? this.animation.playState : 'finished';
+  }
+  
+  /**
+   * Make the handle awaitable
+   * @param {function} onFulfilled - Called with whether the animation completed
+   * @param {function} onRejected - Called if a hook throws
+   */
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+  
+  /**
+   * Stop the animation, leaving the element in its underlying style
+   */
+  cancel() {
+    // Settled first so the next animation starts after the cleanup
+    this.settle(false);
+    if (this.animation) this.animation.cancel();
+  }
+  
+  /**
+   * Jump to the end of the animation
+   */
+  finish() {
+    if (this.animation && !this.settled) {
+      // Infinite animations cannot finish, so they complete where they are
+      if (this.animation.effect.getComputedTiming().endTime === Infinity) {
+        this.settle(true);
+        this.animation.cancel();
+      } else {
+        this.animation.finish();
+      }
+    }
+  }
+  
+  /**
+   * Play the animation backwards from where it is; completing it then
+   * restores the state the element started in
+   */
+  reverse() {
+    if (this.animation && !this.settled) {
+      this.reversed = !this.reversed;
+      this.animation.reverse();
+    }
+  }
+  
+  /**
+   * Pause the animation
+   */
+  pause() {
+    if (this.animation && !this.settled) this.animation.pause();
+  }
+  
+  /**
+   * Resume a paused animation
+   */
+  play() {
+    if (this.animation && !this.settled) this.animation.play();
+  }
+  
+  /**
+   * Apply the end state and resolve the handle, once
+   * @param {boolean} completed - Whether the animation ran to its end
+   */
+  settle(completed) {
+    if (this.settled) return;
+    this.settled = true;
+    
+    const { complete, revert, cleanup } = this.hooks;
+    
+    if (completed) {
+      const hook = this.reversed ? revert : complete;
+      if (hook) hook();
+    }
+    
+    if (cleanup) cleanup();
+    
+    if (running.get(this.element) === this) {
+      running.delete(this.element);
+    }
+    
+    // The end state is now in inline styles, so the filling effect is removed
+    if (completed && this.animation) {
+      this.animation.cancel();
+    }
+    
+    this.resolve(completed);
+  }
+}
+
+/**
+ * Handle of animations started together by sequence(), parallel() or stagger().
+ * Awaiting it resolves true once every animation completes, or false if the
+ * group is cancelled; cancelling or interrupting one animation cancels the group.
+ */
+class AnimationGroup {
+  constructor() {
+    this.handles = [];
+    
+    // Animations waiting for their offset: { callback, remaining, startedAt, id }
+    this.timers = [];
+    
+    this.paused = false;
+    this.finishing = false;
+    this.settled = false;
+    this.completed = false;
+    
+    this.finished = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+  
+  /**
+   * Current play state: 'running', 'paused', 'finished' or 'idle' once cancelled
+   */
+  get playState() {
+    if (this.settled) return this.completed ? 'finished' : 'idle';
+    return this.paused ? 'paused' : 'running';
+  }
+  
+  /**
+   * Make the group awaitable
+   * @param {function} onFulfilled - Called with whether every animation completed
+   * @param {function} onRejected - Called if a hook throws
+   */
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+  
+  /**
+   * Track an animation started by the group, applying the group's state to it
+   * @param {AnimationHandle|AnimationGroup} handle - Started animation
+   * @returns {AnimationHandle|AnimationGroup} The handle
+   */
+  add(handle) {
+    this.handles.push(handle);
+    handle.then(completed => {
+      if (!completed) this.cancel();
+    });
+    
+    if (this.settled && !this.completed) {
+      handle.cancel();
+    } else if (this.finishing) {
+      handle.finish();
+    } else if (this.paused) {
+      handle.pause();
+    }
+    
+    return handle;
+  }
+  
+  /**
+   * Run a callback after a delay that follows pause(), play() and finish()
+   * @param {function} callback - Starts an animation
+   * @param {number} delay - Delay in ms
+   */
+  delay(callback, delay) {
+    const timer = { callback, remaining: delay, startedAt: 0, id: null };
+    
+    if (this.finishing || delay <= 0) {
+      callback();
+      return;
+    }
+    
+    this.timers.push(timer);
+    
+    if (!this.paused) {
+      this.startTimer(timer);
+    }
+  }
+  
+  /**
+   * @param {object} timer - Pending timer
+   */
+  startTimer(timer) {
+    timer.startedAt = performance.now();
+    timer.id = setTimeout(() => {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      timer.callback();
+    }, timer.remaining);
+  }
+  
+  /**
+   * Stop every animation of the group, including those not started yet
+   */
+  cancel() {
+    if (this.settled) return;
+    
+    this.timers.forEach(timer => clearTimeout(timer.id));
+    this.timers = [];
+    this.settle(false);
+    this.handles.forEach(handle => handle.cancel());
+  }
+  
+  /**
+   * Start the pending animations and jump every animation to its end
+   */
+  finish() {
+    if (this.settled) return;
+    this.finishing = true;
+    
+    const timers = this.timers;
+    this.timers = [];
+    timers.forEach(timer => {
+      clearTimeout(timer.id);
+      timer.callback();
+    });
+    
+    this.handles.forEach(handle => handle.finish());
+  }
+  
+  /**
+   * Pause the animations and the offsets of those not started yet
+   */
+  pause() {
+    if (this.settled || this.paused) return;
+    this.paused = true;
+    
+    const now = performance.now();
+    this.timers.forEach(timer => {
+      clearTimeout(timer.id);
+      timer.remaining -= now - timer.startedAt;
+    });
+    
+    this.handles.forEach(handle => handle.pause());
+  }
+  
+  /**
+   * Resume a paused group
+   */
+  play() {
+    if (this.settled || !this.paused) return;
+    this.paused = false;
+    
+    this.timers.forEach(timer => this.startTimer(timer));
+    this.handles.forEach(handle => handle.play());
+  }
+  
+  /**
+   * Resolve the group, once
+   * @param {boolean} completed - Whether every animation completed
+   */
+  settle(completed) {
+    if (this.settled) return;
+    this.settled = true;
+    this.completed = completed;
+    this.resolve(completed);
+  }
+}
+
+/**
+ * Check whether an element is hidden with display: none
+ * @param {HTMLElement} element - Element to check
+ */
+function isHidden(element) {
+  return element.style.display === 'none' || window.getComputedStyle(element).display === 'none';
+}
+
+/**
+ * Check whether an entrance interrupts a running animation of a displayed element,
+ * in which case it continues from the current state instead of from hidden
+ * @param {HTMLElement} element - Element to animate
+ */
+function isInterrupting(element) {
+  return running.has(element) && !isHidden(element);
+}
+
+/**
+ * Make a hidden element displayed, keeping its stylesheet display value when it has one
+ * @param {HTMLElement} element - Element to display
+ */
+function display(element) {
+  if (element.style.display === 'none') {
+    element.style.display = '';
+  }
+  
+  if (window.getComputedStyle(element).display === 'none') {
+    element.style.display = 'block';
+  }
+}
+
+/**
+ * Hide an element that an exit animation removed from the layout while keeping
+ * its place, so it can still be observed and the page does not shift
+ * @param {HTMLElement} element - Element to hide
+ */
+function hideInPlace(element) {
+  display(element);
+  element.style.visibility = 'hidden';
+}
+
+/**
+ * Undo hideInPlace() so an entrance animation starts from hidden
+ * @param {HTMLElement} element - Element hidden in place
+ */
+function revealFromHidden(element) {
+  element.style.removeProperty('visibility');
+  element.style.display = 'none';
+}
+
+/**
+ * Watch an element with the shared observer for its threshold and root margin
+ * @param {HTMLElement} element - Element to watch
+ * @param {object} options - threshold and rootMargin
+ * @param {function} callback - Called with each IntersectionObserverEntry of the element
+ * @returns {function} Stops the callback, and the observer once it watches nothing else
+ */
+function observeIntersection(element, { threshold, rootMargin }, callback) {
+  const key = `${threshold}|${rootMargin}`;
+  let pool = observerPool.get(key);
+  
+  if (!pool) {
+    const callbacks = new Map();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const targetCallbacks = callbacks.get(entry.target);
+        if (targetCallbacks) {
+          Array.from(targetCallbacks).forEach(fn => fn(entry));
+        }
+      });
+    }, { threshold, rootMargin });
+    
+    pool = { observer, callbacks };
+    observerPool.set(key, pool);
+  }
+  
+  const { observer, callbacks } = pool;
+  
+  if (!callbacks.has(element)) {
+    callbacks.set(element, new Set());
+  } else {
+    // Observed again so the new callback also gets the current state
+    observer.unobserve(element);
+  }
+  
+  callbacks.get(element).add(callback);
+  observer.observe(element);
+  
+  return () => {
+    const targetCallbacks = callbacks.get(element);
+    if (!targetCallbacks || !targetCallbacks.delete(callback) || targetCallbacks.size > 0) return;
+    
+    callbacks.delete(element);
+    observer.unobserve(element);
+    
+    if (callbacks.size === 0) {
+      observer.disconnect();
+      observerPool.delete(key);
+    }
+  };
+}
+
+/**
+ * Count the decimals of a number
+ * @param {number} value - Number
+ */
+function countDecimals(value) {
+  const [, decimals = ''] = String(value).split('.');
+  return decimals.length;
+}
+
+/**
+ * Resolve a counter format: Intl.NumberFormat options, as an object or JSON,
+ * or a shorthand such as 'compact', 'percent' or 'currency:EUR'. Unlike
+ * Intl's percent style, the 'percent' shorthand takes values in percent,
+ * so 99.5 shows as 99.5%.
+ * @param {object|string|null} value - Format option or attribute value
+ * @returns {object} { intl: Intl.NumberFormat options, scale: factor applied to the values }
+ */
+function parseCounterFormat(value) {
+  if (!value) return { intl: {}, scale: 1 };
+  if (typeof value === 'object') return { intl: value, scale: 1 };
+  
+  if (value.trim().startsWith('{')) {
+    try {
+      return { intl: JSON.parse(value), scale: 1 };
+    } catch (error) {
+      console.warn(`Counter format "${value}" is not valid JSON`, error);
+      return { intl: {}, scale: 1 };
+    }
+  }
+  
+  const [style, currency] = value.split(':');
+  
+  switch (style) {
+    case 'compact':
+      return { intl: { notation: 'compact' }, scale: 1 };
+    case 'percent':
+      return { intl: { style: 'percent' }, scale: 0.01 };
+    case 'currency':
+      return { intl: { style: 'currency', currency: currency || 'USD' }, scale: 1 };
+    default:
+      console.warn(`Counter format "${value}" not found`);
+      return { intl: {}, scale: 1 };
+  }
+}
+
+/**
+ * Read the counter options of an element from its data-counter-* attributes
+ * @param {HTMLElement} element - Element with [data-counter]
+ * @returns {object} { start, end, duration, format, locale, prefix, suffix, decimals, easing }
+ */
+function readCounterOptions(element) {
+  const attribute = name => element.getAttribute(`data-counter-${name}`);
+  const decimals = attribute('decimals');
+  const lang = element.closest('[lang]');
+  
+  // Without data-counter-end the target is the number the element shows
+  const end = attribute('end') !== null
+    ? parseFloat(attribute('end'))
+    : parseFloat(element.textContent.replace(/[^\d.-]/g, ''));
+  
+  return {
+    start: parseFloat(attribute('start') || '0'),
+    end: Number.isNaN(end) ? 0 : end,
+    duration: parseInt(attribute('duration') || '2000'),
+    format: attribute('format'),
+    locale: attribute('locale') || (lang && lang.lang) || undefined,
+    prefix: attribute('prefix') || '',
+    suffix: attribute('suffix') || '',
+    decimals: decimals === null ? null : parseInt(decimals),
+    easing: attribute('easing') || COUNTER_EASING
+  };
+}
+
+/**
+ * Build the function formatting the values of a counter
+ * @param {number} start - Starting value
+ * @param {number} end - Ending value
+ * @param {object} options - format, locale, prefix, suffix and decimals, see animateCounter()
+ * @returns {function} Value to text
+ */
+function createCounterFormatter(start, end, options) {
+  const { locale, prefix = '', suffix = '', decimals = null } = options;
+  const { intl: format, scale } = parseCounterFormat(options.format);
+  const intlOptions = { ...format };
+  const hasFractionOptions = 'minimumFractionDigits' in format || 'maximumFractionDigits' in format;
+  
+  // Values in percent have the decimals they are shown with
+  const inferDecimals = (!format.style || format.style === 'decimal' || scale !== 1) && !format.notation;
+  
+  if (decimals !== null) {
+    intlOptions.minimumFractionDigits = decimals;
+    intlOptions.maximumFractionDigits = decimals;
+  } else if (!hasFractionOptions && inferDecimals) {
+    // As many decimals as the values have, so the width does not jump while counting
+    const fractionDigits = Math.min(Math.max(countDecimals(start), countDecimals(end)), 20);
+    intlOptions.minimumFractionDigits = fractionDigits;
+    intlOptions.maximumFractionDigits = fractionDigits;
+  }
+  
+  let formatter;
+  
+  try {
+    formatter = new Intl.NumberFormat(locale, intlOptions);
+  } catch (error) {
+    console.warn('Counter format is not valid', error);
+    formatter = new Intl.NumberFormat(locale);
+  }
+  
+  return value => `${prefix}${formatter.format(value * scale)}${suffix}`;
+}
+
+/**
+ * Wrap the result of a step function in a handle
+ * @param {*} result - Handle, group, promise or any value
+ * @returns {AnimationHandle|AnimationGroup} A handle; promises settle it with their value
+ */
+function toHandle(result) {
+  if (result && typeof result.cancel === 'function' && typeof result.then === 'function') {
+    return result;
+  }
+  
+  const group = new AnimationGroup();
+  Promise.resolve(result).then(value => group.settle(value !== false), () => group.settle(false));
+  
+  return group;
+}
+
 class AnimationUtils {
   constructor() {
     this.defaultDuration = 300;
     this.defaultEasing = 'ease-in-out';
   }
   
+  /**
+   * Set the motion policy of every AnimationUtils instance
+   * @param {string} policy - 'full', 'reduced' (cross-fades and instant changes only),
+   *   'none' (instant changes only), or 'system' to follow prefers-reduced-motion
+   * @returns {boolean} Whether the policy is valid
+   */
+  static setMotionPolicy(policy) {
+    if (policy !== 'system' && !MOTION_POLICIES.includes(policy)) {
+      console.warn(`Motion policy "${policy}" not found`);
+      return false;
+    }
+    
+    motionPreference = policy;
+    return true;
+  }
+  
+  /**
+   * Get the motion policy in effect, with 'system' resolved
+   * @returns {string} 'full', 'reduced' or 'none'
+   */
+  static getMotionPolicy() {
+    if (motionPreference !== 'system') return motionPreference;
+    
+    const query = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)');
+    return query && query.matches ? 'reduced' : 'full';
+  }
+  
+  /**
+   * Get the motion policy as set
+   * @returns {string} 'system', 'full', 'reduced' or 'none'
+   */
+  static getMotionPreference() {
+    return motionPreference;
+  }
+  
+  /**
+   * Run keyframes on an element, interrupting the animation already running on it.
+   * The motion policy picks the keyframes: 'reduced' runs the reduced keyframes,
+   * and 'none' or missing reduced keyframes apply the end state at once.
+   * @param {HTMLElement} element - Element to animate
+   * @param {object} options - Animation options
+   * @param {object[]|function} options.keyframes - Keyframes, or a function returning them once start() has run
+   * @param {object[]|null} options.reduced - Keyframes for the 'reduced' policy, usually a cross-fade
+   * @param {number} options.duration - Duration in ms
+   * @param {string} options.easing - Easing, defaults to defaultEasing
+   * @param {number} options.iterations - Number of iterations, Infinity to repeat until cancelled
+   * @param {function} options.start - Prepares the element before the keyframes are read
+   * @param {function} options.complete - Applies the end state
+   * @param {function} options.revert - Applies the start state when completed in reverse
+   * @param {function} options.cleanup - Removes temporary styles, whether completed or not
+   * @param {function} options.callback - Called once the animation completes
+   * @returns {AnimationHandle} Handle of the animation
+   */
+  run(element, options) {
+    const {
+      keyframes,
+      reduced = null,
+      duration = this.defaultDuration,
+      easing = this.defaultEasing,
+      iterations = 1,
+      start,
+      callback,
+      ...hooks
+    } = options;
+    
+    const previous = running.get(element);
+    if (previous) previous.cancel();
+    
+    if (start) start();
+    
+    const policy = AnimationUtils.getMotionPolicy();
+    const frames = policy === 'full' ? keyframes : (policy === 'reduced' ? reduced : null);
+    let animation = null;
+    
+    // Without the Web Animations API the end state is applied right away
+    if (frames && typeof element.animate === 'function') {
+      animation = element.animate(typeof frames === 'function' ? frames() : frames, {
+        duration,
+        easing,
+        iterations,
+        fill: 'both'
+      });
+    }
+    
+    const handle = new AnimationHandle(element, animation, hooks);
+    
+    if (!handle.settled) {
+      running.set(element, handle);
+    }
+    
+    if (callback) {
+      handle.then(completed => {
+        if (completed) callback();
+      });
+    }
+    
+    return handle;
+  }
+  
+  /**
+   * Get the animation running on an element
+   * @param {HTMLElement} element - Animated element
+   * @returns {AnimationHandle|null} The handle, or null when the element is not animated
+   */
+  getAnimation(element) {
+    return running.get(element) || null;
+  }
+  
+  /**
+   * Stop the animation running on an element
+   * @param {HTMLElement} element - Animated element
+   */
+  cancel(element) {
+    const handle = running.get(element);
+    if (handle) handle.cancel();
+  }
+  
   /**
    * Fade in an element
    * @param {HTMLElement} element - Element to fade in
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
   fadeIn(element, duration = this.defaultDuration, callback = null) {
-    element.style.opacity = '0';
-    element.style.display = 'block';
-    element.style.transition = `opacity ${duration}ms ${this.defaultEasing}`;
-    
-    // Force reflow
-    element.offsetHeight;
+    // Starts hidden, unless it interrupts a running animation, which it continues from
+    const opacity = isInterrupting(element) ? window.getComputedStyle(element).opacity : 0;
     
-    element.style.opacity = '1';
+    const keyframes = [{ opacity }, { opacity: 1 }];
     
-    if (callback) {
-      setTimeout(callback, duration);
-    }
+    // Fading involves no movement, so it is kept with reduced motion
+    return this.run(element, {
+      keyframes,
+      reduced: keyframes,
+      duration,
+      callback,
+      start: () => display(element),
+      complete: () => element.style.removeProperty('opacity'),
+      revert: () => {
+        element.style.display = 'none';
+      }
+    });
   }
   
   /**
@@ -35,17 +699,22 @@ class AnimationUtils {
    * @param {HTMLElement} element - Element to fade out
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
   fadeOut(element, duration = this.defaultDuration, callback = null) {
-    element.style.opacity = '1';
-    element.style.transition = `opacity ${duration}ms ${this.defaultEasing}`;
+    const opacity = isHidden(element) ? 0 : window.getComputedStyle(element).opacity;
     
-    element.style.opacity = '0';
+    const keyframes = [{ opacity }, { opacity: 0 }];
     
-    setTimeout(() => {
-      element.style.display = 'none';
-      if (callback) callback();
-    }, duration);
+    return this.run(element, {
+      keyframes,
+      reduced: keyframes,
+      duration,
+      callback,
+      complete: () => {
+        element.style.display = 'none';
+      }
+    });
   }
   
   /**
@@ -53,25 +722,31 @@ class AnimationUtils {
    * @param {HTMLElement} element - Element to slide down
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
   slideDown(element, duration = this.defaultDuration, callback = null) {
-    element.style.height = '0';
-    element.style.overflow = 'hidden';
-    element.style.display = 'block';
-    element.style.transition = `height ${duration}ms ${this.defaultEasing}`;
-    
-    const targetHeight = element.scrollHeight;
-    
-    // Force reflow
-    element.offsetHeight;
-    
-    element.style.height = targetHeight + 'px';
+    const interrupting = isInterrupting(element);
+    const height = interrupting ? element.getBoundingClientRect().height : 0;
+    const opacity = interrupting ? window.getComputedStyle(element).opacity : 0;
+    const overflow = element.style.overflow;
     
-    setTimeout(() => {
-      element.style.height = '';
-      element.style.overflow = '';
-      if (callback) callback();
-    }, duration);
+    return this.run(element, {
+      // The target height is measured once the element is displayed
+      keyframes: () => [{ height: `${height}px` }, { height: `${element.scrollHeight}px` }],
+      reduced: [{ opacity }, { opacity: 1 }],
+      duration,
+      callback,
+      start: () => {
+        display(element);
+        element.style.overflow = 'hidden';
+      },
+      revert: () => {
+        element.style.display = 'none';
+      },
+      cleanup: () => {
+        element.style.overflow = overflow;
+      }
+    });
   }
   
   /**
@@ -79,23 +754,29 @@ class AnimationUtils {
    * @param {HTMLElement} element - Element to slide up
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
   slideUp(element, duration = this.defaultDuration, callback = null) {
-    element.style.height = element.scrollHeight + 'px';
-    element.style.overflow = 'hidden';
-    element.style.transition = `height ${duration}ms ${this.defaultEasing}`;
-    
-    // Force reflow
-    element.offsetHeight;
+    const hidden = isHidden(element);
+    const height = hidden ? 0 : element.getBoundingClientRect().height;
+    const opacity = hidden ? 0 : window.getComputedStyle(element).opacity;
+    const overflow = element.style.overflow;
     
-    element.style.height = '0';
-    
-    setTimeout(() => {
-      element.style.display = 'none';
-      element.style.height = '';
-      element.style.overflow = '';
-      if (callback) callback();
-    }, duration);
+    return this.run(element, {
+      keyframes: [{ height: `${height}px` }, { height: '0px' }],
+      reduced: [{ opacity }, { opacity: 0 }],
+      duration,
+      callback,
+      start: () => {
+        element.style.overflow = 'hidden';
+      },
+      complete: () => {
+        element.style.display = 'none';
+      },
+      cleanup: () => {
+        element.style.overflow = overflow;
+      }
+    });
   }
   
   /**
@@ -103,22 +784,28 @@ class AnimationUtils {
    * @param {HTMLElement} element - Element to scale in
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @param {number} startScale - Scale the element grows from, e.g. 0.95 for a subtle zoom
+   * @returns {AnimationHandle} Handle of the animation
    */
-  scaleIn(element, duration = this.defaultDuration, callback = null) {
-    element.style.transform = 'scale(0)';
-    element.style.opacity = '0';
-    element.style.display = 'block';
-    element.style.transition = `transform ${duration}ms ${this.defaultEasing}, opacity ${duration}ms ${this.defaultEasing}`;
-    
-    // Force reflow
-    element.offsetHeight;
-    
-    element.style.transform = 'scale(1)';
-    element.style.opacity = '1';
+  scaleIn(element, duration = this.defaultDuration, callback = null, startScale = 0) {
+    const from = isInterrupting(element)
+      ? this.getScaleState(element)
+      : { transform: `scale(${startScale})`, opacity: 0 };
     
-    if (callback) {
-      setTimeout(callback, duration);
-    }
+    return this.run(element, {
+      keyframes: [from, { transform: 'scale(1)', opacity: 1 }],
+      reduced: [{ opacity: from.opacity }, { opacity: 1 }],
+      duration,
+      callback,
+      start: () => display(element),
+      complete: () => {
+        element.style.removeProperty('transform');
+        element.style.removeProperty('opacity');
+      },
+      revert: () => {
+        element.style.display = 'none';
+      }
+    });
   }
   
   /**
@@ -126,83 +813,105 @@ class AnimationUtils {
    * @param {HTMLElement} element - Element to scale out
    * @param {number} duration - Animation duration in ms
    * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
   scaleOut(element, duration = this.defaultDuration, callback = null) {
-    element.style.transform = 'scale(1)';
-    element.style.opacity = '1';
-    element.style.transition = `transform ${duration}ms ${this.defaultEasing}, opacity ${duration}ms ${this.defaultEasing}`;
+    const from = this.getScaleState(element);
+    
+    return this.run(element, {
+      keyframes: [from, { transform: 'scale(0)', opacity: 0 }],
+      reduced: [{ opacity: from.opacity }, { opacity: 0 }],
+      duration,
+      callback,
+      complete: () => {
+        element.style.display = 'none';
+      }
+    });
+  }
+  
+  /**
+   * Read the transform and opacity a scale animation starts from
+   * @param {HTMLElement} element - Element to scale
+   * @returns {object} Keyframe with transform and opacity
+   */
+  getScaleState(element) {
+    if (isHidden(element)) {
+      return { transform: 'scale(0)', opacity: 0 };
+    }
     
-    element.style.transform = 'scale(0)';
-    element.style.opacity = '0';
+    const style = window.getComputedStyle(element);
     
-    setTimeout(() => {
-      element.style.display = 'none';
-      if (callback) callback();
-    }, duration);
+    return {
+      transform: style.transform && style.transform !== 'none' ? style.transform : 'scale(1)',
+      opacity: style.opacity
+    };
   }
   
   /**
-   * Bounce an element
+   * Bounce an element, skipped with reduced motion
    * @param {HTMLElement} element - Element to bounce
    * @param {number} intensity - Bounce intensity (0-1)
+   * @param {number} duration - Animation duration in ms
+   * @returns {AnimationHandle} Handle of the animation
    */
-  bounce(element, intensity = 0.3) {
-    const animation = element.animate([
-      { transform: 'scale(1)', offset: 0 },
-      { transform: `scale(${1 + intensity})`, offset: 0.5 },
-      { transform: 'scale(1)', offset: 1 }
-    ], {
-      duration: 600,
+  bounce(element, intensity = 0.3, duration = 600) {
+    return this.run(element, {
+      keyframes: [
+        { transform: 'scale(1)', offset: 0 },
+        { transform: `scale(${1 + intensity})`, offset: 0.5 },
+        { transform: 'scale(1)', offset: 1 }
+      ],
+      duration,
       easing: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)'
     });
-    
-    return animation;
   }
   
   /**
-   * Shake an element
+   * Shake an element, skipped with reduced motion
    * @param {HTMLElement} element - Element to shake
    * @param {number} intensity - Shake intensity in pixels
+   * @param {number} duration - Animation duration in ms
+   * @returns {AnimationHandle} Handle of the animation
    */
-  shake(element, intensity = 10) {
-    const animation = element.animate([
-      { transform: 'translateX(0)' },
-      { transform: `translateX(-${intensity}px)` },
-      { transform: `translateX(${intensity}px)` },
-      { transform: `translateX(-${intensity}px)` },
-      { transform: `translateX(${intensity}px)` },
-      { transform: 'translateX(0)' }
-    ], {
-      duration: 500,
+  shake(element, intensity = 10, duration = 500) {
+    return this.run(element, {
+      keyframes: [
+        { transform: 'translateX(0)' },
+        { transform: `translateX(-${intensity}px)` },
+        { transform: `translateX(${intensity}px)` },
+        { transform: `translateX(-${intensity}px)` },
+        { transform: `translateX(${intensity}px)` },
+        { transform: 'translateX(0)' }
+      ],
+      duration,
       easing: 'ease-in-out'
     });
-    
-    return animation;
   }
   
   /**
-   * Pulse an element
+   * Pulse an element until the animation is cancelled, skipped with reduced motion
    * @param {HTMLElement} element - Element to pulse
    * @param {number} scale - Scale factor for pulse
+   * @returns {AnimationHandle} Handle of the animation
    */
   pulse(element, scale = 1.05) {
-    const animation = element.animate([
-      { transform: 'scale(1)' },
-      { transform: `scale(${scale})` },
-      { transform: 'scale(1)' }
-    ], {
+    return this.run(element, {
+      keyframes: [
+        { transform: 'scale(1)' },
+        { transform: `scale(${scale})` },
+        { transform: 'scale(1)' }
+      ],
       duration: 1000,
       iterations: Infinity,
       easing: 'ease-in-out'
     });
-    
-    return animation;
   }
   
   /**
-   * Create a ripple effect
+   * Create a ripple effect, skipped with reduced motion
    * @param {HTMLElement} element - Element to create ripple on
    * @param {Event} event - Click event for positioning
+   * @returns {AnimationHandle} Handle of the ripple animation
    */
   ripple(element, event) {
     const rect = element.getBoundingClientRect();
@@ -216,7 +925,6 @@ class AnimationUtils {
       border-radius: 50%;
       background: rgba(255, 255, 255, 0.4);
       transform: scale(0);
-      animation: ripple 600ms ease-out;
       left: ${x}px;
       top: ${y}px;
       width: ${size}px;
@@ -226,114 +934,404 @@ class AnimationUtils {
     
     element.appendChild(ripple);
     
-    // Remove ripple after animation
-    setTimeout(() => {
-      ripple.remove();
-    }, 600);
+    // The ripple is removed whether it completes or is cancelled
+    return this.run(ripple, {
+      keyframes: [
+        { transform: 'scale(0)', opacity: 1 },
+        { transform: 'scale(4)', opacity: 0 }
+      ],
+      duration: 600,
+      easing: 'ease-out',
+      cleanup: () => ripple.remove()
+    });
   }
   
   /**
-   * Animate counter from start to end value
+   * Animate counter from start to end value; with reduced motion the end value is shown at once
    * @param {HTMLElement} element - Element to animate counter in
    * @param {number} start - Starting value
    * @param {number} end - Ending value
    * @param {number} duration - Animation duration in ms
+   * @param {object} options - Counter options
+   * @param {object|string} options.format - Intl.NumberFormat options, e.g. { style: 'currency', currency: 'EUR' },
+   *   or a shorthand: 'compact', 'percent' (values in percent) or 'currency:EUR'
+   * @param {string} options.locale - Locale, defaults to the browser's
+   * @param {string} options.prefix - Text before the number
+   * @param {string} options.suffix - Text after the number
+   * @param {number} options.decimals - Fixed number of decimals, defaults to those of the values
+   * @param {string|function} options.easing - CSS easing, or a function mapping progress (0-1) to progress
+   * @returns {AnimationHandle} Handle of the animation
    */
-  animateCounter(element, start, end, duration = 2000) {
-    const startTime = performance.now();
+  animateCounter(element, start, end, duration = 2000, options = {}) {
+    const { easing = COUNTER_EASING } = options;
     const difference = end - start;
+    const format = createCounterFormatter(start, end, options);
+    const ease = typeof easing === 'function' ? easing : null;
     
-    const animate = (currentTime) => {
-      const elapsedTime = currentTime - startTime;
-      const progress = Math.min(elapsedTime / duration, 1);
+    const render = value => {
+      counterValues.set(element, value);
+      element.textContent = format(value);
+    };
+    
+    render(start);
+    
+    // The animation has no keyframes: it only provides the timing, so the
+    // counter can be paused, reversed or finished like any other animation
+    const handle = this.run(element, {
+      keyframes: [],
+      duration,
+      easing: ease ? 'linear' : easing,
+      complete: () => render(end),
+      revert: () => render(start)
+    });
+    
+    const frame = () => {
+      if (handle.settled) return;
       
-      // Easing function (ease-out)
-      const easeOut = 1 - Math.pow(1 - progress, 3);
-      const currentValue = Math.floor(start + (difference * easeOut));
+      const { progress } = handle.animation.effect.getComputedTiming();
       
-      element.textContent = currentValue.toLocaleString();
+      if (progress !== null) {
+        render(start + difference * (ease ? ease(progress) : progress));
+      }
       
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        element.textContent = end.toLocaleString();
+      requestAnimationFrame(frame);
+    };
+    
+    if (handle.animation) {
+      requestAnimationFrame(frame);
+    }
+    
+    return handle;
+  }
+  
+  /**
+   * Animate a counter from the value it shows to a new value, with the
+   * options of its data-counter-* attributes
+   * @param {HTMLElement} element - Element with [data-counter]
+   * @param {number} end - New value, defaults to data-counter-end
+   * @param {object} options - Options overriding the attributes, see animateCounter()
+   * @returns {AnimationHandle} Handle of the animation
+   */
+  updateCounter(element, end, options = {}) {
+    const config = { ...readCounterOptions(element), ...options };
+    const target = end === undefined ? config.end : end;
+    let start = config.start;
+    
+    if (counterValues.has(element)) {
+      // Rounded so a count interrupted between two values does not add decimals
+      const precision = 10 ** Math.max(countDecimals(config.start), countDecimals(target));
+      start = Math.round(counterValues.get(element) * precision) / precision;
+    }
+    
+    return this.animateCounter(element, start, target, config.duration, config);
+  }
+  
+  /**
+   * Count a [data-counter] element up when it scrolls into view, and again
+   * from the value it shows whenever data-counter-end changes
+   * @param {HTMLElement} element - Element with [data-counter]
+   * @param {object} options - Options overriding the attributes, see animateCounter()
+   * @returns {Promise<boolean>} Resolves once the first count completes
+   */
+  setupCounter(element, options = {}) {
+    // Set up again, e.g. when re-added to the page, the counter keeps one observer
+    if (counterObservers.has(element)) {
+      counterObservers.get(element).disconnect();
+    }
+    
+    const observer = new MutationObserver(() => {
+      // Before the first count, the scroll trigger reads the new value
+      if (counterValues.has(element)) {
+        this.updateCounter(element, undefined, options);
+      }
+    });
+    
+    observer.observe(element, { attributes: true, attributeFilter: ['data-counter-end'] });
+    counterObservers.set(element, observer);
+    
+    return this.animateOnScroll(element, {
+      animation: target => this.updateCounter(target, undefined, options),
+      threshold: 0.5
+    });
+  }
+  
+  /**
+   * Run steps one after another. A step is a function returning a handle, e.g.
+   * () => utils.fadeIn(card), or { element, animation, duration, delay }.
+   * @param {Array<function|object>} steps - Steps in order
+   * @returns {AnimationGroup} Handle of the sequence
+   */
+  sequence(steps) {
+    const group = new AnimationGroup();
+    
+    const next = index => {
+      if (group.settled) return;
+      
+      if (index >= steps.length) {
+        group.settle(true);
+        return;
       }
+      
+      group.add(this.startStep(steps[index])).then(completed => {
+        if (completed) next(index + 1);
+      });
     };
     
-    requestAnimationFrame(animate);
+    next(0);
+    
+    return group;
   }
   
   /**
-   * Animate element into view when scrolled to
+   * Run steps at the same time
+   * @param {Array<function|object>} steps - Steps, as for sequence()
+   * @returns {AnimationGroup} Handle of the group
+   */
+  parallel(steps) {
+    const group = new AnimationGroup();
+    const handles = steps.map(step => group.add(this.startStep(step)));
+    
+    Promise.all(handles).then(results => group.settle(results.every(Boolean)));
+    
+    return group;
+  }
+  
+  /**
+   * Run the same animation on several elements, each starting an offset after the previous one
+   * @param {HTMLElement[]|NodeList} elements - Elements to animate
+   * @param {string|function} animation - Animation name, or a function (element, index) returning a handle
+   * @param {object} options - Stagger options
+   * @param {number} options.each - Offset between two elements in ms
+   * @param {number} options.delay - Delay before the first element in ms
+   * @param {number} options.duration - Duration of each animation, defaults to the duration of the animation
+   * @param {string} options.from - Element starting first: 'start', 'end' or 'center'
+   * @returns {AnimationGroup} Handle of the group
+   */
+  stagger(elements, animation, options = {}) {
+    const { each = 100, delay = 0, duration, from = 'start' } = options;
+    const list = Array.from(elements);
+    const group = new AnimationGroup();
+    
+    // Instant changes are applied together
+    const offset = AnimationUtils.getMotionPolicy() === 'none' ? 0 : each;
+    
+    const results = list.map((element, index) => {
+      let order = index;
+      if (from === 'end') order = list.length - 1 - index;
+      if (from === 'center') order = Math.abs(index - (list.length - 1) / 2);
+      
+      return new Promise(resolve => {
+        group.delay(() => {
+          const handle = typeof animation === 'function'
+            ? toHandle(animation(element, index))
+            : this.animate(element, animation, duration);
+          
+          group.add(handle).then(resolve);
+        }, delay + order * offset);
+      });
+    });
+    
+    Promise.all(results).then(completed => group.settle(completed.every(Boolean)));
+    
+    return group;
+  }
+  
+  /**
+   * Start a step of sequence() or parallel()
+   * @param {function|object} step - Function returning a handle, or { element, animation, duration, delay }
+   * @returns {AnimationHandle|AnimationGroup} Handle of the step
+   */
+  startStep(step) {
+    if (typeof step === 'function') {
+      return toHandle(step());
+    }
+    
+    const { element, animation, duration, delay = 0 } = step;
+    const group = new AnimationGroup();
+    
+    // A step without an element only waits
+    group.delay(() => {
+      if (!element) {
+        group.settle(true);
+        return;
+      }
+      
+      group.add(this.animate(element, animation, duration)).then(completed => group.settle(completed));
+    }, delay);
+    
+    return group;
+  }
+  
+  /**
+   * Animate element into view when scrolled to. Elements share one
+   * IntersectionObserver per threshold and root margin.
    * @param {HTMLElement} element - Element to animate
    * @param {object} options - Animation options
+   * @param {string|function} options.animation - Animation name, or a function (element) returning a handle
+   * @param {number} options.threshold - Visible fraction that triggers the animation
+   * @param {string} options.rootMargin - Margin around the viewport, e.g. '0px 0px -100px 0px'
+   * @param {number} options.stagger - Animate the children instead, each this many ms after the previous one
+   * @param {boolean} options.once - Animate only the first time; false animates on every entry
+   * @param {string} options.exit - Animation played when the element leaves, with once: false
+   * @returns {Promise<boolean>} Resolves once the animation, or every staggered one, first completes,
+   *   or false if cancelOnScroll() stops it before
    */
   animateOnScroll(element, options = {}) {
     const defaults = {
       threshold: 0.1,
+      rootMargin: '0px',
       animation: 'fadeIn',
       duration: 600,
-      delay: 0
+      delay: 0,
+      stagger: null,
+      once: true,
+      exit: null
     };
     
     const config = { ...defaults, ...options };
     
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          setTimeout(() => {
-            this.animate(entry.target, config.animation, config.duration);
-          }, config.delay);
+    return new Promise(resolve => {
+      let visible = false;
+      let timer = null;
+      let exited = [];
+      
+      const targets = () => (config.stagger !== null ? Array.from(element.children) : [element]);
+      
+      const run = (animation) => {
+        if (config.stagger !== null) {
+          return this.stagger(element.children, animation, {
+            each: config.stagger,
+            duration: config.duration
+          });
+        }
+        
+        if (typeof animation === 'function') {
+          return toHandle(animation(element));
+        }
+        
+        return this.animate(element, animation, config.duration);
+      };
+      
+      const enter = () => {
+        timer = null;
+        
+        // Left hidden by the exit animation, so the entrance starts from hidden
+        exited.forEach(revealFromHidden);
+        exited = [];
+        
+        run(config.animation).then(completed => {
+          resolve(completed);
+          if (config.once) stop();
+        });
+      };
+      
+      const leave = () => {
+        if (!config.exit) return;
+        
+        const exiting = targets();
+        
+        run(config.exit).then(completed => {
+          if (!completed) return;
           
-          observer.unobserve(entry.target);
+          exited = exiting.filter(isHidden);
+          exited.forEach(hideInPlace);
+        });
+      };
+      
+      const unobserve = observeIntersection(element, config, (entry) => {
+        if (entry.isIntersecting === visible) return;
+        visible = entry.isIntersecting;
+        
+        if (visible) {
+          if (config.once) unobserve();
+          timer = setTimeout(enter, config.delay);
+        } else if (timer !== null) {
+          // Left before the delay ran out
+          clearTimeout(timer);
+          timer = null;
+        } else {
+          leave();
         }
       });
-    }, {
-      threshold: config.threshold
+      
+      const stop = () => {
+        const stops = scrollWatchers.get(element);
+        if (stops) stops.delete(stop);
+        
+        clearTimeout(timer);
+        unobserve();
+        resolve(false);
+      };
+      
+      if (!scrollWatchers.has(element)) {
+        scrollWatchers.set(element, new Set());
+      }
+      
+      scrollWatchers.get(element).add(stop);
     });
+  }
+  
+  /**
+   * Stop the scroll animations waiting on an element, e.g. once it is removed
+   * from the page; their promises resolve false
+   * @param {HTMLElement} element - Element passed to animateOnScroll() or setupCounter()
+   */
+  cancelOnScroll(element) {
+    const stops = scrollWatchers.get(element);
+    
+    if (stops) {
+      Array.from(stops).forEach(stop => stop());
+      scrollWatchers.delete(element);
+    }
     
-    observer.observe(element);
+    if (counterObservers.has(element)) {
+      counterObservers.get(element).disconnect();
+      counterObservers.delete(element);
+    }
   }
   
   /**
    * Generic animation method
    * @param {HTMLElement} element - Element to animate
    * @param {string} animation - Animation type
-   * @param {number} duration - Animation duration
-   * @param {function} callback - Callback function
+   * @param {number} duration - Animation duration, defaults to the duration of the animation
+   * @param {function} callback - Callback function when animation completes
+   * @returns {AnimationHandle} Handle of the animation
    */
-  animate(element, animation, duration = this.defaultDuration, callback = null) {
+  animate(element, animation, duration, callback = null) {
+    let handle;
+    
     switch (animation) {
       case 'fadeIn':
-        this.fadeIn(element, duration, callback);
-        break;
+        return this.fadeIn(element, duration, callback);
       case 'fadeOut':
-        this.fadeOut(element, duration, callback);
-        break;
+        return this.fadeOut(element, duration, callback);
       case 'slideDown':
-        this.slideDown(element, duration, callback);
-        break;
+        return this.slideDown(element, duration, callback);
       case 'slideUp':
-        this.slideUp(element, duration, callback);
-        break;
+        return this.slideUp(element, duration, callback);
       case 'scaleIn':
-        this.scaleIn(element, duration, callback);
-        break;
+        return this.scaleIn(element, duration, callback);
       case 'scaleOut':
-        this.scaleOut(element, duration, callback);
-        break;
+        return this.scaleOut(element, duration, callback);
       case 'bounce':
-        this.bounce(element);
-        if (callback) callback();
+        handle = this.bounce(element, undefined, duration);
         break;
       case 'shake':
-        this.shake(element);
-        if (callback) callback();
+        handle = this.shake(element, undefined, duration);
         break;
       default:
         console.warn(`Animation "${animation}" not found`);
-        if (callback) callback();
+        handle = new AnimationHandle(element, null);
+    }
+    
+    if (callback) {
+      handle.then(completed => {
+        if (completed) callback();
+      });
     }
+    
+    return handle;
   }
 }
 
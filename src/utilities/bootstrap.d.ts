@@ -0,0 +1,31 @@
+/**
+ * Unified Theme - Theme Bootstrap Type Declarations
+ */
+
+import { BootstrapOptions, ColorScheme, ThemePreference } from '../unified-theme';
+
+export {
+  BootstrapOptions,
+  ServerThemeOptions,
+  ServerThemeState,
+  getBootstrapScript,
+  resolveServerTheme
+} from '../unified-theme';
+
+export interface InitialTheme {
+  preference: ThemePreference;
+  theme: string;
+  colorScheme: ColorScheme;
+}
+
+export interface BootstrapConfig {
+  storageKey: string;
+  storage: string;
+  autoDetectPreference: boolean;
+  themes: Record<string, ColorScheme>;
+}
+
+export const BOOTSTRAP_DEFAULTS: BootstrapConfig;
+
+export function resolveInitialTheme(saved: string | null, config: BootstrapConfig, prefersDark: boolean): InitialTheme;
+export function getBootstrapConfig(options?: BootstrapOptions): BootstrapConfig;
@@ -0,0 +1,142 @@
+/**
+ * Unified Theme - Theme Bootstrap
+ * Resolves the initial theme before the bundle runs, either in an inline
+ * <head> script or on the server, to avoid a flash of the wrong theme.
+ * This module does not touch the DOM when imported, so it is safe to use in Node.
+ */
+
+import { readCookie } from './storage.js';
+
+const BOOTSTRAP_DEFAULTS = {
+  storageKey: 'unified-theme-mode',
+  storage: 'localStorage',
+  autoDetectPreference: true,
+  // Theme name to color scheme
+  themes: {
+    light: 'light',
+    dark: 'dark'
+  }
+};
+
+/**
+ * Resolve the stored preference to the theme to display.
+ * Must stay self-contained ES5: it is serialized into the inline bootstrap script.
+ * @param {string|null} saved - Stored preference
+ * @param {object} config - { autoDetectPreference, themes }
+ * @param {boolean} prefersDark - Whether the OS prefers a dark color scheme
+ * @returns {object} { preference, theme, colorScheme }
+ */
+function resolveInitialTheme(saved, config, prefersDark) {
+  var valid = saved === 'system' || Object.prototype.hasOwnProperty.call(config.themes, saved);
+  var preference = valid ? saved : (config.autoDetectPreference ? 'system' : 'light');
+  var theme = preference === 'system' ? (prefersDark ? 'dark' : 'light') : preference;
+  
+  return {
+    preference: preference,
+    theme: theme,
+    colorScheme: config.themes[theme] === 'dark' ? 'dark' : 'light'
+  };
+}
+
+/**
+ * Merge options with the bootstrap defaults
+ * @param {object} options - Bootstrap options
+ */
+function getBootstrapConfig(options = {}) {
+  const config = { ...BOOTSTRAP_DEFAULTS, ...options };
+  
+  // Accept a list of theme names as well as a name to color scheme map
+  if (Array.isArray(config.themes)) {
+    config.themes = config.themes.reduce((themes, name) => {
+      themes[name] = name === 'dark' ? 'dark' : 'light';
+      return themes;
+    }, {});
+  }
+  
+  config.themes = { ...BOOTSTRAP_DEFAULTS.themes, ...config.themes };
+  
+  return config;
+}
+
+/**
+ * Build the inline script that applies the initial theme before first paint.
+ * Place it in <head>, before any stylesheet that depends on data-theme.
+ * @param {object} options - Same storageKey, storage, autoDetectPreference and themes as UnifiedTheme
+ * @returns {string} JavaScript source, without <script> tags
+ */
+function getBootstrapScript(options = {}) {
+  const { storageKey, storage, autoDetectPreference, themes } = getBootstrapConfig(options);
+  
+  // Escape "<" so the config can never close the surrounding <script> element
+  const config = JSON.stringify({ storageKey, storage, autoDetectPreference, themes })
+    .replace(/</g, '\\u003c');
+  
+  return `(function (resolve, config) {
+  var saved = null;
+  var prefersDark = false;
+  try {
+    if (config.storage === 'cookie') {
+      var prefix = encodeURIComponent(config.storageKey) + '=';
+      document.cookie.split(';').forEach(function (part) {
+        part = part.trim();
+        if (part.indexOf(prefix) === 0) saved = decodeURIComponent(part.slice(prefix.length));
+      });
+    } else if (config.storage === 'localStorage' || config.storage === 'sessionStorage') {
+      saved = window[config.storage].getItem(config.storageKey);
+    }
+  } catch (e) {}
+  try {
+    prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  } catch (e) {}
+  var state = resolve(saved, config, prefersDark);
+  var root = document.documentElement;
+  root.setAttribute('data-theme', state.theme);
+  root.setAttribute('data-theme-preference', state.preference);
+  root.classList.remove(state.colorScheme === 'dark' ? 'light' : 'dark');
+  root.classList.add(state.colorScheme);
+})(${resolveInitialTheme.toString()}, ${config});`;
+}
+
+/**
+ * Resolve the initial theme on the server from the theme cookie
+ * @param {string} cookies - Cookie request header, or the raw cookie value
+ * @param {object} options - Bootstrap options
+ * @param {boolean} options.prefersDark - Color scheme hint, e.g. from the Sec-CH-Prefers-Color-Scheme header
+ * @returns {object} { preference, theme, colorScheme, attributes } where attributes are for the <html> element
+ */
+function resolveServerTheme(cookies, options = {}) {
+  const config = getBootstrapConfig(options);
+  const value = String(cookies || '');
+  
+  // A header contains "name=value" pairs, a raw cookie value does not
+  const saved = value.includes('=') ? readCookie(value, config.storageKey) : (value || null);
+  const state = resolveInitialTheme(saved, config, Boolean(options.prefersDark));
+  
+  return {
+    ...state,
+    attributes: {
+      'data-theme': state.theme,
+      'data-theme-preference': state.preference,
+      class: state.colorScheme
+    }
+  };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BOOTSTRAP_DEFAULTS,
+    resolveInitialTheme,
+    getBootstrapConfig,
+    getBootstrapScript,
+    resolveServerTheme
+  };
+}
+
+export {
+  BOOTSTRAP_DEFAULTS,
+  resolveInitialTheme,
+  getBootstrapConfig,
+  getBootstrapScript,
+  resolveServerTheme
+};
\ No newline at end of file
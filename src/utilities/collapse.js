@@ -0,0 +1,247 @@
+/**
+ * Unified Theme - Collapse
+ * Collapsible panels with height transitions that can be interrupted,
+ * ARIA wiring for their toggles and accordion groups
+ */
+
+// Controllers by panel element, created on first use
+const instances = new WeakMap();
+
+let idCount = 0;
+
+class Collapse {
+  /**
+   * @param {HTMLElement} element - Collapsible panel
+   * @param {object} options - Collapse options
+   * @param {string|null} options.parent - Id of the accordion group; opening the panel closes the others of the group
+   * @param {number} options.duration - Height transition in ms
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      parent: element.getAttribute('data-collapse-parent'),
+      duration: 300,
+      ...options
+    };
+    
+    if (!element.id) element.id = `collapse-${++idCount}`;
+    
+    this.open = !(
+      element.classList.contains('collapsed') ||
+      element.hidden ||
+      element.style.display === 'none'
+    );
+    
+    // The running transition, replaced when the panel is toggled again mid-way
+    this.transition = null;
+    
+    this.setState(this.open);
+    instances.set(element, this);
+  }
+  
+  /**
+   * Get the controller of a panel, creating it on first use
+   * @param {HTMLElement} element - Collapsible panel
+   * @param {object} options - Options used when the controller is created
+   * @returns {Collapse} The controller
+   */
+  static getOrCreate(element, options = {}) {
+    return instances.get(element) || new Collapse(element, options);
+  }
+  
+  /**
+   * Check whether the panel is open or opening
+   */
+  isOpen() {
+    return this.open;
+  }
+  
+  /**
+   * Get the elements that toggle this panel
+   * @returns {HTMLElement[]} Toggles with a matching [data-collapse-toggle]
+   */
+  getToggles() {
+    return Array.from(document.querySelectorAll('[data-collapse-toggle]'))
+      .filter(toggle => toggle.getAttribute('data-collapse-toggle') === this.element.id);
+  }
+  
+  /**
+   * Get the other panels of the accordion group
+   * @returns {HTMLElement[]} Panels with the same [data-collapse-parent]
+   */
+  getSiblings() {
+    if (!this.options.parent) return [];
+    
+    return Array.from(document.querySelectorAll('[data-collapse-parent]'))
+      .filter(panel => panel !== this.element &&
+        panel.getAttribute('data-collapse-parent') === this.options.parent);
+  }
+  
+  /**
+   * Open the panel, closing the other panels of its accordion group
+   * @returns {Promise<boolean>} Resolves true once the panel is shown, false if cancelled or interrupted
+   */
+  show() {
+    if (this.open) {
+      return this.transition ? this.transition.promise : Promise.resolve(true);
+    }
+    
+    if (!this.dispatch('collapse:show')) return Promise.resolve(false);
+    
+    this.getSiblings().forEach(panel => {
+      const sibling = Collapse.getOrCreate(panel);
+      if (sibling.isOpen()) sibling.hide();
+    });
+    
+    return this.run(true);
+  }
+  
+  /**
+   * Close the panel
+   * @returns {Promise<boolean>} Resolves true once the panel is hidden, false if cancelled or interrupted
+   */
+  hide() {
+    if (!this.open) {
+      return this.transition ? this.transition.promise : Promise.resolve(true);
+    }
+    
+    if (!this.dispatch('collapse:hide')) return Promise.resolve(false);
+    
+    return this.run(false);
+  }
+  
+  /**
+   * Open or close the panel
+   * @returns {Promise<boolean>} Resolves once the transition ends
+   */
+  toggle() {
+    return this.open ? this.hide() : this.show();
+  }
+  
+  /**
+   * Transition the panel height, starting from its current height so a
+   * transition reversed half-way continues smoothly
+   * @param {boolean} open - Target state
+   * @returns {Promise<boolean>} Resolves true when the transition completes
+   */
+  run(open) {
+    const element = this.element;
+    const startHeight = element.getBoundingClientRect().height;
+    
+    this.finishTransition(false);
+    this.open = open;
+    
+    element.hidden = false;
+    element.style.display = '';
+    element.classList.remove('collapsed');
+    element.classList.add('collapsing');
+    this.syncToggles();
+    
+    element.style.transitionDuration = `${this.options.duration}ms`;
+    element.style.height = `${startHeight}px`;
+    
+    // Force reflow so the transition starts from the current height
+    element.offsetHeight;
+    
+    element.style.height = open ? `${element.scrollHeight}px` : '0';
+    
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    
+    const onTransitionEnd = (e) => {
+      if (e.target === element && e.propertyName === 'height') {
+        this.finishTransition(true);
+      }
+    };
+    
+    element.addEventListener('transitionend', onTransitionEnd);
+    
+    this.transition = {
+      promise,
+      resolve,
+      onTransitionEnd,
+      // transitionend never fires when the height does not change or transitions are off
+      timer: setTimeout(() => this.finishTransition(true), this.options.duration + 50)
+    };
+    
+    return promise;
+  }
+  
+  /**
+   * End the running transition
+   * @param {boolean} completed - False when a new transition interrupts it
+   */
+  finishTransition(completed) {
+    const transition = this.transition;
+    if (!transition) return;
+    
+    this.transition = null;
+    clearTimeout(transition.timer);
+    this.element.removeEventListener('transitionend', transition.onTransitionEnd);
+    
+    if (completed) {
+      this.element.classList.remove('collapsing');
+      this.element.style.transitionDuration = '';
+      this.element.style.height = '';
+      this.setState(this.open);
+      this.element.dispatchEvent(new CustomEvent(this.open ? 'collapse:shown' : 'collapse:hidden', {
+        bubbles: true,
+        detail: { collapse: this }
+      }));
+    }
+    
+    transition.resolve(completed);
+  }
+  
+  /**
+   * Apply a settled open or closed state without a transition
+   * @param {boolean} open - Whether the panel is open
+   */
+  setState(open) {
+    this.element.classList.toggle('collapsed', !open);
+    this.element.hidden = !open;
+    this.element.style.display = '';
+    this.syncToggles();
+  }
+  
+  /**
+   * Keep aria-controls and aria-expanded of the toggles in sync with the panel
+   */
+  syncToggles() {
+    this.getToggles().forEach(toggle => {
+      toggle.setAttribute('aria-controls', this.element.id);
+      toggle.setAttribute('aria-expanded', String(this.open));
+    });
+  }
+  
+  /**
+   * Dispatch a cancelable collapse event on the panel
+   * @param {string} type - 'collapse:show' or 'collapse:hide'
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  dispatch(type) {
+    return this.element.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      detail: { collapse: this }
+    }));
+  }
+  
+  /**
+   * Stop the running transition and forget the controller
+   */
+  dispose() {
+    if (this.transition) {
+      this.finishTransition(true);
+    }
+    
+    instances.delete(this.element);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Collapse;
+}
+
+export default Collapse;
\ No newline at end of file
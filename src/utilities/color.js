@@ -0,0 +1,273 @@
+/**
+ * Unified Theme - Color Utilities
+ * Color conversion and OKLCH-based scale generation for runtime theming
+ */
+
+// Target lightness for each shade, from lightest to darkest
+const SHADE_LIGHTNESS = {
+  50: 0.975,
+  100: 0.94,
+  200: 0.885,
+  300: 0.81,
+  400: 0.72,
+  500: 0.635,
+  600: 0.555,
+  700: 0.475,
+  800: 0.4,
+  900: 0.335
+};
+
+// Share of the seed chroma kept at each shade, so the lightest and darkest
+// shades do not become oversaturated
+const SHADE_CHROMA = {
+  50: 0.12,
+  100: 0.25,
+  200: 0.45,
+  300: 0.7,
+  400: 0.9,
+  500: 1,
+  600: 1,
+  700: 0.9,
+  800: 0.78,
+  900: 0.65
+};
+
+class ColorUtils {
+  /**
+   * Get the shade keys of a generated scale
+   * @returns {number[]} Shades from 50 to 900
+   */
+  static get shades() {
+    return Object.keys(SHADE_LIGHTNESS).map(Number);
+  }
+  
+  /**
+   * Parse a hex or rgb() color
+   * @param {string} color - Color such as '#7c3aed', '#fff' or 'rgb(124, 58, 237)'
+   * @returns {object|null} { r, g, b } in the 0-255 range, or null if the color is not recognised
+   */
+  static parse(color) {
+    const value = String(color).trim().toLowerCase();
+    
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+      const digits = hex[1].length === 3
+        ? hex[1].split('').map(digit => digit + digit).join('')
+        : hex[1];
+      
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16)
+      };
+    }
+    
+    const rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+    if (rgb) {
+      return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Format an RGB color as hex
+   * @param {object} rgb - { r, g, b } in the 0-255 range
+   * @returns {string} Hex color, e.g. '#7c3aed'
+   */
+  static toHex({ r, g, b }) {
+    return '#' + [r, g, b]
+      .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+      .join('');
+  }
+  
+  /**
+   * Convert an RGB color to OKLCH
+   * @param {object} rgb - { r, g, b } in the 0-255 range
+   * @returns {object} { l, c, h } with lightness 0-1 and hue in degrees
+   */
+  static rgbToOklch({ r, g, b }) {
+    const [lr, lg, lb] = [r, g, b].map(channel => ColorUtils.toLinear(channel / 255));
+    
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    
+    const L = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+    const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+    const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+    
+    const hue = Math.atan2(B, A) * 180 / Math.PI;
+    
+    return {
+      l: L,
+      c: Math.sqrt(A * A + B * B),
+      h: hue < 0 ? hue + 360 : hue
+    };
+  }
+  
+  /**
+   * Convert an OKLCH color to RGB without clamping
+   * @param {object} oklch - { l, c, h }
+   * @returns {object} { r, g, b } in the 0-255 range, possibly outside it if out of gamut
+   */
+  static oklchToRgb({ l: L, c, h }) {
+    const A = c * Math.cos(h * Math.PI / 180);
+    const B = c * Math.sin(h * Math.PI / 180);
+    
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.291485548 * B, 3);
+    
+    return {
+      r: ColorUtils.fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s) * 255,
+      g: ColorUtils.fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s) * 255,
+      b: ColorUtils.fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s) * 255
+    };
+  }
+  
+  /**
+   * Convert an OKLCH color to the closest hex color inside the sRGB gamut,
+   * reducing chroma while keeping lightness and hue
+   * @param {object} oklch - { l, c, h }
+   * @returns {string} Hex color
+   */
+  static oklchToHex({ l, c, h }) {
+    const inGamut = rgb => [rgb.r, rgb.g, rgb.b].every(channel => channel >= -0.5 && channel <= 255.5);
+    
+    let rgb = ColorUtils.oklchToRgb({ l, c, h });
+    
+    if (!inGamut(rgb)) {
+      let low = 0;
+      let high = c;
+      
+      for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        
+        if (inGamut(ColorUtils.oklchToRgb({ l, c: mid, h }))) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      
+      rgb = ColorUtils.oklchToRgb({ l, c: low, h });
+    }
+    
+    return ColorUtils.toHex(rgb);
+  }
+  
+  /**
+   * Generate a 50-900 scale from a single seed color. The shade closest in
+   * lightness to the seed reproduces it exactly.
+   * @param {string} seed - Seed color
+   * @returns {object|null} Map of shade to hex color, or null if the seed is not a valid color
+   */
+  static generateScale(seed) {
+    const rgb = ColorUtils.parse(seed);
+    if (!rgb) return null;
+    
+    const base = ColorUtils.rgbToOklch(rgb);
+    const shades = ColorUtils.shades;
+    
+    // Anchor the seed on the shade with the nearest target lightness
+    const anchor = shades.reduce((closest, shade) => (
+      Math.abs(SHADE_LIGHTNESS[shade] - base.l) < Math.abs(SHADE_LIGHTNESS[closest] - base.l)
+        ? shade
+        : closest
+    ), 500);
+    const anchorIndex = shades.indexOf(anchor);
+    const offset = base.l - SHADE_LIGHTNESS[anchor];
+    const chroma = base.c / SHADE_CHROMA[anchor];
+    
+    const scale = {};
+    
+    shades.forEach((shade, index) => {
+      if (shade === anchor) {
+        scale[shade] = ColorUtils.toHex(rgb);
+        return;
+      }
+      
+      // Spread the lightness offset so it fades out towards both ends
+      const edge = index < anchorIndex ? 0 : shades.length - 1;
+      const weight = edge === anchorIndex ? 1 : (index - edge) / (anchorIndex - edge);
+      
+      scale[shade] = ColorUtils.oklchToHex({
+        l: Math.min(0.99, Math.max(0.1, SHADE_LIGHTNESS[shade] + offset * weight)),
+        c: chroma * SHADE_CHROMA[shade],
+        h: base.h
+      });
+    });
+    
+    return scale;
+  }
+  
+  /**
+   * Mirror a scale for dark mode, so 50 becomes 900 and vice versa,
+   * matching the dark theme tokens
+   * @param {object} scale - Map of shade to color
+   * @returns {object} Inverted scale
+   */
+  static invertScale(scale) {
+    const shades = Object.keys(scale);
+    
+    return shades.reduce((inverted, shade, index) => {
+      inverted[shade] = scale[shades[shades.length - 1 - index]];
+      return inverted;
+    }, {});
+  }
+  
+  /**
+   * Get the WCAG relative luminance of a color
+   * @param {string|object} color - Color string or { r, g, b } in the 0-255 range
+   * @returns {number|null} Luminance from 0 to 1, or null if the color is not recognised
+   */
+  static luminance(color) {
+    const rgb = typeof color === 'string' ? ColorUtils.parse(color) : color;
+    if (!rgb) return null;
+    
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(channel => ColorUtils.toLinear(channel / 255));
+    
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+  
+  /**
+   * Get the WCAG contrast ratio between two colors
+   * @param {string|object} foreground - Foreground color
+   * @param {string|object} background - Background color
+   * @returns {number|null} Ratio from 1 to 21, or null if either color is not recognised
+   */
+  static contrastRatio(foreground, background) {
+    const a = ColorUtils.luminance(foreground);
+    const b = ColorUtils.luminance(background);
+    if (a === null || b === null) return null;
+    
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+  
+  /**
+   * Convert a gamma-encoded sRGB channel (0-1) to linear light
+   * @param {number} value - Channel value
+   */
+  static toLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  }
+  
+  /**
+   * Convert a linear light channel (0-1) to gamma-encoded sRGB
+   * @param {number} value - Channel value
+   */
+  static fromLinear(value) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+    
+    return sign * (abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorUtils;
+}
+
+export default ColorUtils;
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Unified Theme - Component Classes
+ * Maps component options to the modifier classes of the stylesheet, shared by
+ * the custom elements and the framework bindings
+ */
+
+/**
+ * Classes of a button
+ * @param {object} options - Button options
+ * @param {string} options.variant - 'primary', 'secondary', 'success', 'warning', 'error', 'outline', 'outline-primary', 'ghost', 'link', ...
+ * @param {string} options.size - 'xs', 'sm', 'md', 'lg' or 'xl'
+ * @param {boolean} options.disabled - Disabled state
+ * @param {boolean} options.loading - Loading state
+ * @returns {string[]} Class names
+ */
+function buttonClasses({ variant = 'primary', size = 'md', disabled = false, loading = false } = {}) {
+  return [
+    'btn',
+    `btn-${variant}`,
+    `btn-${size}`,
+    disabled && 'disabled',
+    loading && 'loading'
+  ].filter(Boolean);
+}
+
+/**
+ * Classes of an alert
+ * @param {object} options - Alert options
+ * @param {string} options.variant - 'primary', 'secondary', 'success', 'warning', 'error', 'info' or 'neutral'
+ * @param {string|null} options.size - 'sm' or 'lg'
+ * @param {string|null} options.appearance - 'solid', 'outline' or 'left-accent'
+ * @param {boolean} options.dismissible - Leave room for a close button
+ * @returns {string[]} Class names
+ */
+function alertClasses({ variant = 'info', size = null, appearance = null, dismissible = false } = {}) {
+  return [
+    'alert',
+    `alert-${variant}`,
+    size && `alert-${size}`,
+    appearance && `alert-${appearance}`,
+    dismissible && 'alert-dismissible'
+  ].filter(Boolean);
+}
+
+/**
+ * ARIA role of an alert: errors and warnings interrupt, other alerts are announced politely
+ * @param {string} variant - Alert variant
+ * @returns {string} 'alert' or 'status'
+ */
+function alertRole(variant = 'info') {
+  return variant === 'error' || variant === 'warning' ? 'alert' : 'status';
+}
+
+/**
+ * Classes of a card
+ * @param {object} options - Card options
+ * @param {string|null} options.variant - 'elevated', 'outlined' or 'filled'
+ * @param {string|null} options.size - 'sm' or 'lg'
+ * @param {boolean} options.interactive - Hover and focus styles
+ * @returns {string[]} Class names
+ */
+function cardClasses({ variant = null, size = null, interactive = false } = {}) {
+  return [
+    'card',
+    variant && `card-${variant}`,
+    size && `card-${size}`,
+    interactive && 'card-interactive'
+  ].filter(Boolean);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buttonClasses,
+    alertClasses,
+    alertRole,
+    cardClasses
+  };
+}
+
+export {
+  buttonClasses,
+  alertClasses,
+  alertRole,
+  cardClasses
+};
\ No newline at end of file
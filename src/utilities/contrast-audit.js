@@ -0,0 +1,116 @@
+/**
+ * Unified Theme - Contrast Audit
+ * WCAG contrast checks for the foreground/background token pairs used by components
+ */
+
+import ColorUtils from './color.js';
+
+const VARIANTS = ['primary', 'secondary', 'success', 'warning', 'error', 'info', 'neutral'];
+const BUTTON_VARIANTS = ['primary', 'secondary', 'success', 'warning', 'error'];
+
+// Token pairs as they are used in the component styles
+const CONTRAST_PAIRS = [
+  // Alerts
+  ...VARIANTS.map(variant => ({
+    component: 'alert',
+    selector: `.alert-${variant}`,
+    foreground: `color-${variant}-800`,
+    background: `color-${variant}-50`
+  })),
+  ...VARIANTS.map(variant => ({
+    component: 'alert',
+    selector: `.alert-solid.alert-${variant}`,
+    foreground: 'color-neutral-white',
+    background: `color-${variant}-600`
+  })),
+  
+  // Buttons
+  ...BUTTON_VARIANTS.map(variant => ({
+    component: 'button',
+    selector: `.btn-${variant}`,
+    foreground: 'color-neutral-white',
+    background: `color-${variant}-600`
+  })),
+  { component: 'button', selector: '.btn-outline', foreground: 'color-neutral-700', background: 'color-neutral-white' },
+  { component: 'button', selector: '.btn-outline-primary', foreground: 'color-primary-600', background: 'color-neutral-white' },
+  { component: 'button', selector: '.btn-ghost-primary', foreground: 'color-primary-600', background: 'color-neutral-white' },
+  
+  // Cards
+  { component: 'card', selector: '.card-title', foreground: 'color-neutral-900', background: 'color-neutral-white' },
+  { component: 'card', selector: '.card-subtitle', foreground: 'color-neutral-600', background: 'color-neutral-white' },
+  { component: 'card', selector: '.card-text', foreground: 'color-neutral-700', background: 'color-neutral-white' },
+  { component: 'card', selector: '.card-filled .card-text', foreground: 'color-neutral-700', background: 'color-neutral-50' },
+  
+  // Forms
+  { component: 'form', selector: '.form-control', foreground: 'color-neutral-900', background: 'color-neutral-white' },
+  { component: 'form', selector: '.form-control::placeholder', foreground: 'color-neutral-500', background: 'color-neutral-white' },
+  { component: 'form', selector: '.form-label', foreground: 'color-neutral-700', background: 'color-neutral-white' },
+  { component: 'form', selector: '.form-text', foreground: 'color-neutral-600', background: 'color-neutral-white' },
+  { component: 'form', selector: '.input-group-text', foreground: 'color-neutral-700', background: 'color-neutral-100' },
+  
+  // Navbar
+  { component: 'navbar', selector: '.navbar-brand', foreground: 'color-neutral-900', background: 'color-neutral-white' },
+  { component: 'navbar', selector: '.nav-link', foreground: 'color-neutral-700', background: 'color-neutral-white' },
+  { component: 'navbar', selector: '.nav-link.active', foreground: 'color-primary-600', background: 'color-primary-50' },
+  { component: 'navbar', selector: '.navbar-dark .nav-link', foreground: 'color-neutral-300', background: 'color-neutral-800' },
+  { component: 'navbar', selector: '.navbar-primary .navbar-brand', foreground: 'color-neutral-white', background: 'color-primary-600' }
+];
+
+class ContrastAudit {
+  constructor(options = {}) {
+    this.options = {
+      minRatio: 4.5,
+      pairs: CONTRAST_PAIRS,
+      ...options
+    };
+  }
+  
+  /**
+   * Check every token pair as resolved on an element. A pair whose colors
+   * cannot be parsed, e.g. oklch() values a browser keeps as they are, is
+   * skipped: its ratio and passed are null.
+   * @param {HTMLElement} element - Element whose custom properties are audited
+   * @returns {object[]} One result per pair
+   */
+  check(element) {
+    const probe = document.createElement('span');
+    probe.setAttribute('aria-hidden', 'true');
+    probe.style.display = 'none';
+    element.appendChild(probe);
+    
+    // Resolving through the color property turns any CSS color syntax into rgb()
+    const resolve = token => {
+      probe.style.color = `var(--${token})`;
+      return window.getComputedStyle(probe).color;
+    };
+    
+    const results = this.options.pairs.map(pair => {
+      const foregroundValue = resolve(pair.foreground);
+      const backgroundValue = resolve(pair.background);
+      const ratio = ColorUtils.contrastRatio(foregroundValue, backgroundValue);
+      const skipped = ratio === null;
+      
+      return {
+        ...pair,
+        foregroundValue,
+        backgroundValue,
+        ratio: skipped ? null : Math.round(ratio * 100) / 100,
+        required: this.options.minRatio,
+        passed: skipped ? null : ratio >= this.options.minRatio,
+        skipped
+      };
+    });
+    
+    probe.remove();
+    
+    return results;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContrastAudit;
+}
+
+export { CONTRAST_PAIRS };
+export default ContrastAudit;
\ No newline at end of file
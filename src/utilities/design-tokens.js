@@ -0,0 +1,148 @@
+/**
+ * Unified Theme - Design Tokens
+ * Runtime access to the design tokens emitted as CSS custom properties
+ */
+
+class DesignTokens {
+  constructor(options = {}) {
+    this.options = {
+      styleId: 'unified-theme-tokens',
+      render: true,
+      ...options
+    };
+    
+    // Selector-scoped token rules, rendered into a single style element
+    this.rules = new Map();
+    
+    // While false, rules are kept but the style element is left alone
+    this.rendering = this.options.render;
+    
+    // Tokens set inline per element, so they can be reset later
+    this.overrides = new WeakMap();
+  }
+  
+  /**
+   * Convert a token name to its custom property name
+   * @param {string} name - Token name, e.g. 'color-primary-500' or '--color-primary-500'
+   */
+  static toProperty(name) {
+    return name.startsWith('--') ? name : `--${name}`;
+  }
+  
+  /**
+   * Read the computed value of a token
+   * @param {string} name - Token name
+   * @param {HTMLElement} element - Element to resolve the token on
+   * @returns {string} The token value, or an empty string if it is not defined
+   */
+  get(name, element = document.documentElement) {
+    return window.getComputedStyle(element)
+      .getPropertyValue(DesignTokens.toProperty(name))
+      .trim();
+  }
+  
+  /**
+   * Override tokens on an element
+   * @param {object} tokens - Map of token names to values
+   * @param {HTMLElement} element - Element to scope the tokens to
+   */
+  set(tokens, element = document.documentElement) {
+    const overridden = this.overrides.get(element) || new Set();
+    
+    Object.entries(tokens).forEach(([name, value]) => {
+      const property = DesignTokens.toProperty(name);
+      
+      if (value === null || value === undefined) {
+        element.style.removeProperty(property);
+        overridden.delete(property);
+      } else {
+        element.style.setProperty(property, value);
+        overridden.add(property);
+      }
+    });
+    
+    this.overrides.set(element, overridden);
+  }
+  
+  /**
+   * Remove token overrides from an element
+   * @param {string[]|null} names - Tokens to reset, or null to reset all overrides
+   * @param {HTMLElement} element - Element the tokens were set on
+   */
+  reset(names = null, element = document.documentElement) {
+    const overridden = this.overrides.get(element);
+    if (!overridden) return;
+    
+    const properties = names
+      ? names.map(name => DesignTokens.toProperty(name))
+      : Array.from(overridden);
+    
+    properties.forEach(property => {
+      element.style.removeProperty(property);
+      overridden.delete(property);
+    });
+  }
+  
+  /**
+   * Define tokens for every element matching a selector
+   * @param {string} selector - CSS selector, e.g. '[data-theme="high-contrast"]'
+   * @param {object|null} tokens - Map of token names to values, or null to remove the rule
+   * @param {object} options - Rule options
+   * @param {string} options.id - Rule identifier, defaults to the selector
+   * @param {number} options.priority - Rules with a higher priority are written later and win ties
+   */
+  defineRule(selector, tokens, options = {}) {
+    const { id = selector, priority = 0 } = options;
+    
+    if (tokens && Object.keys(tokens).length > 0) {
+      this.rules.set(id, { selector, tokens: { ...tokens }, priority });
+    } else {
+      this.rules.delete(id);
+    }
+    
+    if (this.rendering) {
+      this.renderRules();
+    }
+  }
+  
+  /**
+   * Write the rules defined so far and every later change, when created with render: false
+   */
+  startRendering() {
+    this.rendering = true;
+    this.renderRules();
+  }
+  
+  /**
+   * Write all selector rules to the managed style element
+   */
+  renderRules() {
+    let style = document.getElementById(this.options.styleId);
+    
+    if (!style && this.rules.size === 0) return;
+    
+    if (!style) {
+      style = document.createElement('style');
+      style.id = this.options.styleId;
+      document.head.appendChild(style);
+    }
+    
+    style.textContent = Array.from(this.rules.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ selector, tokens }) => {
+        const declarations = Object.entries(tokens)
+          .map(([name, value]) => `  ${DesignTokens.toProperty(name)}: ${value};`)
+          .join('\n');
+        
+        return `${selector} {\n${declarations}\n}`;
+      })
+      .join('\n\n');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DesignTokens;
+}
+
+export default DesignTokens;
\ No newline at end of file
@@ -0,0 +1,434 @@
+/**
+ * Unified Theme - Dropdown
+ * Menu button following the WAI-ARIA menu button pattern, with keyboard
+ * navigation, typeahead and viewport-aware placement
+ */
+
+const ITEM_SELECTOR = '[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"], .dropdown-item';
+
+// Controllers by wrapper element, created on first use
+const instances = new WeakMap();
+
+// Dropdowns that are currently open
+const openDropdowns = new Set();
+
+let idCount = 0;
+
+class Dropdown {
+  /**
+   * @param {HTMLElement} element - Wrapper with [data-dropdown], containing the toggle and the menu
+   * @param {object} options - Dropdown options
+   * @param {string} options.placement - 'bottom-start', 'bottom-end', 'top-start' or 'top-end'
+   * @param {number} options.offset - Gap between the toggle and the menu, in pixels
+   * @param {number} options.padding - Minimum distance from the viewport edges, in pixels
+   * @param {number} options.typeaheadTimeout - Time before the typeahead buffer resets, in milliseconds
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      placement: element.getAttribute('data-dropdown-placement') || 'bottom-start',
+      offset: 4,
+      padding: 8,
+      typeaheadTimeout: 500,
+      ...options
+    };
+    
+    this.toggleElement = element.querySelector('[data-dropdown-toggle]') ||
+      element.querySelector('.dropdown-toggle') ||
+      element;
+    this.menu = element.querySelector('.dropdown-menu, [role="menu"]');
+    this.typeaheadBuffer = '';
+    this.typeaheadTimer = null;
+    
+    this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    this.handleViewportChange = this.handleViewportChange.bind(this);
+    
+    this.setupAria();
+    instances.set(element, this);
+  }
+  
+  /**
+   * Get the controller of a dropdown, creating it on first use
+   * @param {HTMLElement} element - Wrapper with [data-dropdown]
+   * @param {object} options - Options used when the controller is created
+   * @returns {Dropdown} The controller
+   */
+  static getOrCreate(element, options = {}) {
+    return instances.get(element) || new Dropdown(element, options);
+  }
+  
+  /**
+   * Close every open dropdown
+   */
+  static hideAll() {
+    openDropdowns.forEach(dropdown => dropdown.hide());
+  }
+  
+  /**
+   * Link the toggle and the menu with ARIA attributes
+   */
+  setupAria() {
+    const toggle = this.toggleElement;
+    
+    toggle.setAttribute('aria-haspopup', 'menu');
+    toggle.setAttribute('aria-expanded', 'false');
+    
+    if (!this.menu) return;
+    
+    if (!toggle.id) toggle.id = `dropdown-toggle-${++idCount}`;
+    if (!this.menu.id) this.menu.id = `dropdown-menu-${idCount}`;
+    
+    toggle.setAttribute('aria-controls', this.menu.id);
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-labelledby', toggle.id);
+    
+    this.menu.querySelectorAll(ITEM_SELECTOR).forEach(item => {
+      if (!item.hasAttribute('role')) item.setAttribute('role', 'menuitem');
+      item.setAttribute('tabindex', '-1');
+    });
+  }
+  
+  /**
+   * Check whether the menu is open
+   */
+  isOpen() {
+    return openDropdowns.has(this);
+  }
+  
+  /**
+   * Get the items that can be focused, in document order
+   * @returns {HTMLElement[]} Enabled menu items
+   */
+  getItems() {
+    if (!this.menu) return [];
+    
+    return Array.from(this.menu.querySelectorAll(ITEM_SELECTOR)).filter(item => (
+      !item.disabled &&
+      !item.classList.contains('disabled') &&
+      item.getAttribute('aria-disabled') !== 'true' &&
+      !item.hidden
+    ));
+  }
+  
+  /**
+   * Open the menu
+   * @param {string|null} focus - Item to focus: 'first', 'last' or null to keep focus on the toggle
+   * @returns {boolean} Whether the menu was opened
+   */
+  show(focus = 'first') {
+    if (this.isOpen()) {
+      this.focusItem(focus);
+      return true;
+    }
+    
+    if (!this.dispatch('dropdown:show')) return false;
+    
+    // Only one menu is open at a time
+    Dropdown.hideAll();
+    
+    openDropdowns.add(this);
+    this.element.classList.add('open');
+    this.toggleElement.setAttribute('aria-expanded', 'true');
+    
+    if (this.menu) {
+      this.menu.classList.add('show');
+      this.position();
+    }
+    
+    document.addEventListener('click', this.handleOutsideClick);
+    window.addEventListener('resize', this.handleViewportChange);
+    window.addEventListener('scroll', this.handleViewportChange, true);
+    
+    this.focusItem(focus);
+    
+    return true;
+  }
+  
+  /**
+   * Close the menu
+   * @param {boolean} returnFocus - Move focus back to the toggle
+   * @returns {boolean} Whether the menu was closed
+   */
+  hide(returnFocus = false) {
+    if (!this.isOpen()) return false;
+    if (!this.dispatch('dropdown:hide')) return false;
+    
+    openDropdowns.delete(this);
+    this.element.classList.remove('open');
+    this.toggleElement.setAttribute('aria-expanded', 'false');
+    
+    if (this.menu) {
+      this.menu.classList.remove('show');
+    }
+    
+    document.removeEventListener('click', this.handleOutsideClick);
+    window.removeEventListener('resize', this.handleViewportChange);
+    window.removeEventListener('scroll', this.handleViewportChange, true);
+    
+    if (returnFocus) {
+      this.toggleElement.focus();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Open or close the menu
+   * @param {string|null} focus - Item to focus when opening
+   */
+  toggle(focus = 'first') {
+    return this.isOpen() ? this.hide() : this.show(focus);
+  }
+  
+  /**
+   * Focus a menu item
+   * @param {string|number|HTMLElement|null} item - 'first', 'last', an index, an item, or null to do nothing
+   */
+  focusItem(item) {
+    if (item === null) return;
+    
+    const items = this.getItems();
+    if (items.length === 0) return;
+    
+    let target = item;
+    if (item === 'first') target = items[0];
+    if (item === 'last') target = items[items.length - 1];
+    if (typeof item === 'number') target = items[(item + items.length) % items.length];
+    
+    if (target && target.focus) {
+      target.focus();
+    }
+  }
+  
+  /**
+   * Handle a click inside the dropdown
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    if (this.toggleElement.contains(e.target)) {
+      e.preventDefault();
+      
+      // A click from the keyboard (Enter or Space) has no pointer position
+      this.toggle(e.detail === 0 ? 'first' : null);
+      return;
+    }
+    
+    const item = e.target.closest(ITEM_SELECTOR);
+    
+    if (item && this.menu && this.menu.contains(item) && this.getItems().includes(item)) {
+      if (item.getAttribute('role') === 'menuitemcheckbox') {
+        item.setAttribute('aria-checked', String(item.getAttribute('aria-checked') !== 'true'));
+      }
+      
+      // Checkable items keep the menu open so several can be toggled
+      if (!item.matches('[role="menuitemcheckbox"], [data-dropdown-keep-open]')) {
+        this.hide(true);
+      }
+    }
+  }
+  
+  /**
+   * Handle a keydown inside the dropdown
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (this.toggleElement.contains(e.target) && this.toggleElement !== this.element) {
+      this.handleToggleKeydown(e);
+    } else if (this.menu && this.menu.contains(e.target)) {
+      this.handleMenuKeydown(e);
+    }
+  }
+  
+  /**
+   * Open the menu from the toggle with the arrow keys
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleToggleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.show('first');
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.show('last');
+        break;
+      case 'Escape':
+        if (this.isOpen()) {
+          e.preventDefault();
+          this.hide(true);
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Move focus between items, close the menu or activate an item
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleMenuKeydown(e) {
+    const items = this.getItems();
+    const index = items.indexOf(document.activeElement);
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.focusItem(index === -1 ? 'last' : index - 1);
+        break;
+      case 'Home':
+      case 'PageUp':
+        e.preventDefault();
+        this.focusItem('first');
+        break;
+      case 'End':
+      case 'PageDown':
+        e.preventDefault();
+        this.focusItem('last');
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.hide(true);
+        break;
+      case 'Tab':
+        // Let focus move on naturally
+        this.hide();
+        break;
+      case 'Enter':
+      case ' ':
+        // Buttons and links already activate on these keys
+        if (index !== -1 && !items[index].matches('button, a[href]')) {
+          e.preventDefault();
+          items[index].click();
+        }
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          this.typeahead(e.key, items, index);
+        }
+    }
+  }
+  
+  /**
+   * Focus the next item whose label starts with the typed characters
+   * @param {string} character - Typed character
+   * @param {HTMLElement[]} items - Enabled items
+   * @param {number} index - Index of the focused item
+   */
+  typeahead(character, items, index) {
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadTimer = setTimeout(() => {
+      this.typeaheadBuffer = '';
+    }, this.options.typeaheadTimeout);
+    
+    this.typeaheadBuffer += character.toLowerCase();
+    
+    // Repeating one character cycles through the items starting with it
+    const buffer = this.typeaheadBuffer.split('').every(char => char === this.typeaheadBuffer[0])
+      ? this.typeaheadBuffer[0]
+      : this.typeaheadBuffer;
+    const start = buffer.length === 1 ? index + 1 : Math.max(index, 0);
+    
+    for (let i = 0; i < items.length; i++) {
+      const item = items[(start + i) % items.length];
+      
+      if (item.textContent.trim().toLowerCase().startsWith(buffer)) {
+        item.focus();
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Place the menu below or above the toggle, flipping it when it does not
+   * fit and shifting it to stay inside the viewport
+   */
+  position() {
+    if (!this.menu) return;
+    
+    const { offset, padding } = this.options;
+    const [side, align = 'start'] = this.options.placement.split('-');
+    
+    this.menu.style.top = '';
+    this.menu.style.left = '';
+    
+    const toggleRect = this.toggleElement.getBoundingClientRect();
+    const wrapperRect = this.element.getBoundingClientRect();
+    const menuRect = this.menu.getBoundingClientRect();
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = window.innerHeight;
+    
+    // Flip to the other side when it has more room
+    const spaceBelow = viewportHeight - toggleRect.bottom - offset - padding;
+    const spaceAbove = toggleRect.top - offset - padding;
+    let placement = side === 'top' ? 'top' : 'bottom';
+    
+    if (placement === 'bottom' && menuRect.height > spaceBelow && spaceAbove > spaceBelow) {
+      placement = 'top';
+    } else if (placement === 'top' && menuRect.height > spaceAbove && spaceBelow > spaceAbove) {
+      placement = 'bottom';
+    }
+    
+    const top = placement === 'bottom'
+      ? toggleRect.bottom + offset
+      : toggleRect.top - offset - menuRect.height;
+    
+    // Shift along the toggle to stay inside the viewport
+    let left = align === 'end' ? toggleRect.right - menuRect.width : toggleRect.left;
+    left = Math.min(left, viewportWidth - padding - menuRect.width);
+    left = Math.max(left, padding);
+    
+    this.menu.style.top = `${top - wrapperRect.top}px`;
+    this.menu.style.left = `${left - wrapperRect.left}px`;
+    this.menu.setAttribute('data-placement', `${placement}-${align}`);
+  }
+  
+  /**
+   * Close the menu when clicking outside the dropdown
+   * @param {MouseEvent} e - Click event
+   */
+  handleOutsideClick(e) {
+    if (!this.element.contains(e.target)) {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Keep the menu in place while the page scrolls or resizes
+   */
+  handleViewportChange() {
+    this.position();
+  }
+  
+  /**
+   * Dispatch a cancelable dropdown event on the wrapper
+   * @param {string} type - 'dropdown:show' or 'dropdown:hide'
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  dispatch(type) {
+    return this.element.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      detail: { dropdown: this }
+    }));
+  }
+  
+  /**
+   * Close the menu and forget the controller
+   */
+  dispose() {
+    this.hide();
+    clearTimeout(this.typeaheadTimer);
+    instances.delete(this.element);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dropdown;
+}
+
+export default Dropdown;
\ No newline at end of file
@@ -0,0 +1,9 @@
+/**
+ * Unified Theme - Custom Elements Type Declarations
+ */
+
+import { defineElements } from '../unified-theme';
+
+export { UtButton, UtAlert, UtCard, UtTabs, UtDropdown, defineElements } from '../unified-theme';
+
+export default defineElements;
@@ -0,0 +1,505 @@
+/**
+ * Unified Theme - Custom Elements
+ * <ut-button>, <ut-alert>, <ut-card>, <ut-tabs> and <ut-dropdown>, rendered
+ * in the light DOM with the component classes so the stylesheet applies as is
+ */
+
+import AnimationUtils from './animations.js';
+import { alertClasses, alertRole, buttonClasses, cardClasses } from './component-classes.js';
+import Dropdown from './dropdown.js';
+import Tabs from './tabs.js';
+
+// Lets the module load where custom elements are not available, e.g. during server rendering
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+const animations = new AnimationUtils();
+
+/**
+ * Base for the elements: maps attributes to component classes, keeping
+ * classes added by the page
+ */
+class UnifiedElement extends BaseElement {
+  static get observedAttributes() {
+    return ['variant', 'size'];
+  }
+  
+  constructor() {
+    super();
+    this.appliedClasses = [];
+  }
+  
+  connectedCallback() {
+    this.render();
+  }
+  
+  attributeChangedCallback() {
+    if (this.isConnected) {
+      this.render();
+    }
+  }
+  
+  /**
+   * Replace the classes set by the previous render
+   * @param {string[]} classes - Component classes, falsy entries are skipped
+   */
+  setClasses(classes) {
+    this.appliedClasses.forEach(className => this.classList.remove(className));
+    this.appliedClasses = classes.filter(Boolean);
+    this.classList.add(...this.appliedClasses);
+  }
+  
+  /**
+   * Apply the attributes to the element
+   */
+  render() {}
+}
+
+/**
+ * <ut-button variant="primary" size="md" type="submit" disabled loading>
+ */
+class UtButton extends UnifiedElement {
+  // Takes part in forms like a native button where ElementInternals is supported
+  static get formAssociated() {
+    return true;
+  }
+  
+  static get observedAttributes() {
+    return ['variant', 'size', 'disabled', 'loading'];
+  }
+  
+  constructor() {
+    super();
+    this.internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleKeyup = this.handleKeyup.bind(this);
+  }
+  
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('click', this.handleClick);
+    this.addEventListener('keydown', this.handleKeydown);
+    this.addEventListener('keyup', this.handleKeyup);
+  }
+  
+  disconnectedCallback() {
+    this.removeEventListener('click', this.handleClick);
+    this.removeEventListener('keydown', this.handleKeydown);
+    this.removeEventListener('keyup', this.handleKeyup);
+  }
+  
+  get disabled() {
+    return this.hasAttribute('disabled');
+  }
+  
+  set disabled(value) {
+    this.toggleAttribute('disabled', Boolean(value));
+  }
+  
+  get loading() {
+    return this.hasAttribute('loading');
+  }
+  
+  set loading(value) {
+    this.toggleAttribute('loading', Boolean(value));
+  }
+  
+  get form() {
+    return (this.internals && this.internals.form) || this.closest('form');
+  }
+  
+  render() {
+    const inactive = this.disabled || this.loading;
+    
+    this.setClasses(buttonClasses({
+      variant: this.getAttribute('variant') || undefined,
+      size: this.getAttribute('size') || undefined,
+      disabled: this.disabled,
+      loading: this.loading
+    }));
+    
+    this.setAttribute('role', 'button');
+    this.setAttribute('aria-disabled', String(inactive));
+    this.setAttribute('aria-busy', String(this.loading));
+    
+    if (inactive) {
+      this.removeAttribute('tabindex');
+    } else {
+      this.setAttribute('tabindex', '0');
+    }
+  }
+  
+  /**
+   * Block clicks while inactive and submit or reset the form like a native button
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    if (this.disabled || this.loading) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+    
+    const form = this.form;
+    const type = this.getAttribute('type') || 'submit';
+    
+    if (!form || e.defaultPrevented) return;
+    
+    if (type === 'submit') {
+      form.requestSubmit();
+    } else if (type === 'reset') {
+      form.reset();
+    }
+  }
+  
+  /**
+   * Activate on Enter, and stop Space from scrolling the page
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.target !== this) return;
+    
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.click();
+    } else if (e.key === ' ') {
+      e.preventDefault();
+    }
+  }
+  
+  /**
+   * Activate on Space, as native buttons do on release
+   * @param {KeyboardEvent} e - Keyup event
+   */
+  handleKeyup(e) {
+    if (e.target === this && e.key === ' ') {
+      e.preventDefault();
+      this.click();
+    }
+  }
+}
+
+/**
+ * <ut-alert variant="success" size="sm" appearance="solid" dismissible>
+ */
+class UtAlert extends UnifiedElement {
+  static get observedAttributes() {
+    return ['variant', 'size', 'appearance', 'dismissible'];
+  }
+  
+  constructor() {
+    super();
+    
+    // The role follows the variant unless the page sets its own
+    this.autoRole = null;
+    this.handleClick = this.handleClick.bind(this);
+  }
+  
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('click', this.handleClick);
+  }
+  
+  disconnectedCallback() {
+    this.removeEventListener('click', this.handleClick);
+  }
+  
+  render() {
+    const variant = this.getAttribute('variant') || 'info';
+    const dismissible = this.hasAttribute('dismissible');
+    
+    this.setClasses(alertClasses({
+      variant,
+      size: this.getAttribute('size'),
+      appearance: this.getAttribute('appearance'),
+      dismissible
+    }));
+    
+    if (this.autoRole === null) {
+      this.autoRole = !this.hasAttribute('role');
+    }
+    
+    if (this.autoRole) {
+      this.setAttribute('role', alertRole(variant));
+    }
+    
+    const closeButton = this.querySelector(':scope > .alert-close');
+    
+    if (dismissible && !closeButton) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'alert-close';
+      button.setAttribute('aria-label', 'Dismiss');
+      button.innerHTML = '&times;';
+      this.appendChild(button);
+    } else if (!dismissible && closeButton) {
+      closeButton.remove();
+    }
+  }
+  
+  /**
+   * Fade out and remove the alert
+   * @returns {boolean} False if an alert:dismiss listener called preventDefault()
+   */
+  dismiss() {
+    const proceed = this.dispatchEvent(new CustomEvent('alert:dismiss', {
+      bubbles: true,
+      cancelable: true,
+      detail: { alert: this }
+    }));
+    
+    if (!proceed) return false;
+    
+    animations.fadeOut(this, 300, () => this.remove());
+    return true;
+  }
+  
+  /**
+   * Dismiss from the close button
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    if (e.target.closest('.alert-close')) {
+      this.dismiss();
+    }
+  }
+}
+
+/**
+ * <ut-card variant="elevated" size="sm" interactive>
+ */
+class UtCard extends UnifiedElement {
+  static get observedAttributes() {
+    return ['variant', 'size', 'interactive'];
+  }
+  
+  render() {
+    this.setClasses(cardClasses({
+      variant: this.getAttribute('variant'),
+      size: this.getAttribute('size'),
+      interactive: this.hasAttribute('interactive')
+    }));
+  }
+}
+
+/**
+ * <ut-tabs activation="manual" orientation="vertical" hash>, containing
+ * [data-tab] buttons and their panels
+ */
+class UtTabs extends UnifiedElement {
+  static get observedAttributes() {
+    return ['activation', 'orientation', 'hash'];
+  }
+  
+  constructor() {
+    super();
+    this.controller = null;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleHashchange = this.handleHashchange.bind(this);
+  }
+  
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('click', this.handleClick);
+    this.addEventListener('keydown', this.handleKeydown);
+    window.addEventListener('hashchange', this.handleHashchange);
+    
+    if (this.hasAttribute('hash')) {
+      Tabs.selectFromHash();
+    }
+  }
+  
+  disconnectedCallback() {
+    this.removeEventListener('click', this.handleClick);
+    this.removeEventListener('keydown', this.handleKeydown);
+    window.removeEventListener('hashchange', this.handleHashchange);
+    
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+  
+  render() {
+    this.setAttribute('data-tab-group', '');
+    
+    // Tabs.selectFromHash() only follows groups marked for deep-linking
+    this.toggleAttribute('data-tab-hash', this.hasAttribute('hash'));
+    
+    const options = {
+      activation: this.getAttribute('activation') || 'auto',
+      orientation: this.getAttribute('orientation') || 'horizontal',
+      hash: this.hasAttribute('hash')
+    };
+    
+    // Options are updated in place, so the selection and focus survive
+    if (!this.controller) {
+      this.controller = Tabs.getOrCreate(this, options);
+    }
+    
+    Object.assign(this.controller.options, options);
+    this.controller.setupAria();
+  }
+  
+  /**
+   * Select a tab
+   * @param {HTMLElement|string|number} tab - Tab element, panel id or index
+   * @returns {boolean} Whether the tab was selected
+   */
+  select(tab) {
+    return this.controller ? this.controller.select(tab) : false;
+  }
+  
+  /**
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    this.controller.handleClick(e);
+  }
+  
+  /**
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    this.controller.handleKeydown(e);
+  }
+  
+  /**
+   * Follow the URL hash when deep-linking is enabled
+   */
+  handleHashchange() {
+    if (this.hasAttribute('hash')) {
+      Tabs.selectFromHash();
+    }
+  }
+}
+
+/**
+ * <ut-dropdown placement="bottom-end">, containing a [data-dropdown-toggle]
+ * and a .dropdown-menu
+ */
+class UtDropdown extends UnifiedElement {
+  static get observedAttributes() {
+    return ['placement'];
+  }
+  
+  constructor() {
+    super();
+    this.controller = null;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+  
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('click', this.handleClick);
+    this.addEventListener('keydown', this.handleKeydown);
+  }
+  
+  disconnectedCallback() {
+    this.removeEventListener('click', this.handleClick);
+    this.removeEventListener('keydown', this.handleKeydown);
+    
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+  
+  render() {
+    this.setClasses(['dropdown']);
+    this.setAttribute('data-dropdown', '');
+    
+    if (!this.controller) {
+      this.controller = Dropdown.getOrCreate(this);
+    }
+    
+    this.controller.options.placement = this.getAttribute('placement') || 'bottom-start';
+  }
+  
+  /**
+   * Open the menu
+   */
+  show() {
+    return this.controller ? this.controller.show() : false;
+  }
+  
+  /**
+   * Close the menu
+   */
+  hide() {
+    return this.controller ? this.controller.hide() : false;
+  }
+  
+  /**
+   * Open or close the menu
+   */
+  toggle() {
+    return this.controller ? this.controller.toggle() : false;
+  }
+  
+  /**
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    this.controller.handleClick(e);
+  }
+  
+  /**
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    this.controller.handleKeydown(e);
+  }
+}
+
+const ELEMENTS = {
+  'ut-button': UtButton,
+  'ut-alert': UtAlert,
+  'ut-card': UtCard,
+  'ut-tabs': UtTabs,
+  'ut-dropdown': UtDropdown
+};
+
+/**
+ * Register the custom elements, skipping names that are already defined
+ * @returns {boolean} Whether custom elements are supported
+ */
+function defineElements() {
+  if (typeof window === 'undefined' || !window.customElements) return false;
+  
+  Object.entries(ELEMENTS).forEach(([name, constructor]) => {
+    if (!window.customElements.get(name)) {
+      window.customElements.define(name, constructor);
+    }
+  });
+  
+  return true;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UtButton,
+    UtAlert,
+    UtCard,
+    UtTabs,
+    UtDropdown,
+    defineElements
+  };
+}
+
+export {
+  UtButton,
+  UtAlert,
+  UtCard,
+  UtTabs,
+  UtDropdown,
+  defineElements
+};
+
+export default defineElements;
\ No newline at end of file
@@ -0,0 +1,410 @@
+/**
+ * Unified Theme - Form Validation
+ * Declarative validation for forms with [data-validate], using the native
+ * constraint attributes and data-validate-* rules, including async rules
+ */
+
+import AnimationUtils from './animations.js';
+
+const FIELD_SELECTOR = '.form-control, .form-select, .form-check-input';
+
+const STATE_CLASSES = {
+  error: 'form-control-error',
+  warning: 'form-control-warning',
+  success: 'form-control-success'
+};
+
+// Native validity flags, in the order their messages are preferred
+const VALIDITY_KEYS = [
+  'valueMissing',
+  'typeMismatch',
+  'badInput',
+  'patternMismatch',
+  'tooShort',
+  'tooLong',
+  'rangeUnderflow',
+  'rangeOverflow',
+  'stepMismatch'
+];
+
+// data-validate-* attributes that configure the field instead of naming a rule
+const RESERVED_ATTRIBUTES = ['message'];
+
+// Rules available to every form, by the name used in data-validate-<name>
+const validators = {
+  /**
+   * The value must equal the value of another field
+   * @param {string} value - Field value
+   * @param {object} context - Field, form and the attribute value (name or id of the other field)
+   */
+  match(value, { form, param }) {
+    const other = form.elements.namedItem(param) || document.getElementById(param);
+    return !other || value === other.value || 'The values do not match.';
+  }
+};
+
+// Controllers by form element, created on first use
+const instances = new WeakMap();
+
+let idCount = 0;
+
+const animations = new AnimationUtils();
+
+class FormValidator {
+  /**
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {object} options - Validation options
+   * @param {string} options.validateOn - 'blur' validates fields as they lose focus and on submit, 'submit' only on submit
+   * @param {boolean} options.showSuccess - Mark valid fields that have a value with the success state
+   * @param {object} options.messages - Error messages by native validity flag, e.g. { valueMissing: 'Required' }
+   * @param {object} options.validators - Rules for this form only, by name
+   */
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      validateOn: form.getAttribute('data-validate-on') || 'blur',
+      showSuccess: true,
+      messages: {},
+      validators: {},
+      ...options
+    };
+    
+    // Latest validation run per field, so stale async results are ignored
+    this.runs = new WeakMap();
+    
+    // Help text replaced by error messages, restored when the field is valid
+    this.helpTexts = new WeakMap();
+    
+    // Set while the validated form is submitted again
+    this.submitting = false;
+    
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleFocusout = this.handleFocusout.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+    
+    // Messages are shown in the page instead of the browser's bubbles
+    form.setAttribute('novalidate', '');
+    
+    // Captured so the page's own submit listeners only see the validated submit
+    form.addEventListener('submit', this.handleSubmit, true);
+    form.addEventListener('focusout', this.handleFocusout);
+    form.addEventListener('input', this.handleInput);
+    form.addEventListener('change', this.handleInput);
+    form.addEventListener('reset', this.handleReset);
+    
+    instances.set(form, this);
+  }
+  
+  /**
+   * Get the controller of a form, creating it on first use
+   * @param {HTMLFormElement} form - Form element
+   * @param {object} options - Options used when the controller is created
+   * @returns {FormValidator} The controller
+   */
+  static getOrCreate(form, options = {}) {
+    return instances.get(form) || new FormValidator(form, options);
+  }
+  
+  /**
+   * Register a rule for every form, used as data-validate-<name>="param"
+   * @param {string} name - Rule name
+   * @param {function} validator - (value, { field, form, param }) returning true, false,
+   *   an error message, { warning: message }, or a promise of one of these
+   */
+  static register(name, validator) {
+    if (typeof validator !== 'function') {
+      console.warn(`Validator "${name}" must be a function`);
+      return false;
+    }
+    
+    validators[name] = validator;
+    return true;
+  }
+  
+  /**
+   * Get the fields of the form that can be validated
+   * @returns {HTMLElement[]} Enabled fields
+   */
+  getFields() {
+    return Array.from(this.form.querySelectorAll(FIELD_SELECTOR))
+      .filter(field => !field.disabled && field.willValidate !== false);
+  }
+  
+  /**
+   * Check whether an element is a field of this form
+   * @param {HTMLElement} element - Element to check
+   */
+  isField(element) {
+    return Boolean(element && element.matches && element.matches(FIELD_SELECTOR) && this.form.contains(element));
+  }
+  
+  /**
+   * Validate every field
+   * @returns {Promise<boolean>} Whether all fields are valid
+   */
+  async validate() {
+    const results = await Promise.all(this.getFields().map(field => this.validateField(field)));
+    return results.every(result => result.valid);
+  }
+  
+  /**
+   * Validate one field and show the result
+   * @param {HTMLElement} field - Field to validate
+   * @returns {Promise<object>} { valid, state, message }
+   */
+  async validateField(field) {
+    const run = (this.runs.get(field) || 0) + 1;
+    this.runs.set(field, run);
+    
+    const result = await this.check(field);
+    
+    // A newer run for the same field owns the displayed state
+    if (this.runs.get(field) === run) {
+      this.applyResult(field, result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Run the native constraints, then the data-validate-* rules of a field
+   * @param {HTMLElement} field - Field to check
+   * @returns {Promise<object>} { valid, state, message }
+   */
+  async check(field) {
+    const customMessage = field.getAttribute('data-validate-message');
+    
+    if (field.validity && !field.validity.valid) {
+      const key = VALIDITY_KEYS.find(flag => field.validity[flag]);
+      const message = customMessage ||
+        this.options.messages[key] ||
+        field.validationMessage ||
+        'Please check this field.';
+      
+      return { valid: false, state: 'error', message };
+    }
+    
+    let warning = null;
+    
+    for (const { name, param } of this.getRules(field)) {
+      const validator = this.options.validators[name] || validators[name];
+      
+      if (!validator) {
+        console.warn(`Validator "${name}" not found`);
+        continue;
+      }
+      
+      let outcome;
+      
+      try {
+        outcome = await validator(field.value, { field, form: this.form, param });
+      } catch (error) {
+        console.warn(`Validator "${name}" failed:`, error);
+        outcome = false;
+      }
+      
+      if (outcome === false || typeof outcome === 'string') {
+        const message = customMessage || (typeof outcome === 'string' && outcome) || 'Please check this field.';
+        return { valid: false, state: 'error', message };
+      }
+      
+      if (outcome && outcome.warning && !warning) {
+        warning = outcome.warning;
+      }
+    }
+    
+    if (warning) {
+      return { valid: true, state: 'warning', message: warning };
+    }
+    
+    const hasValue = field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value !== '';
+    return { valid: true, state: this.options.showSuccess && hasValue ? 'success' : null, message: '' };
+  }
+  
+  /**
+   * Get the data-validate-* rules of a field
+   * @param {HTMLElement} field - Field element
+   * @returns {object[]} { name, param } in attribute order
+   */
+  getRules(field) {
+    return Array.from(field.attributes)
+      .filter(attribute => attribute.name.startsWith('data-validate-'))
+      .map(attribute => ({ name: attribute.name.slice('data-validate-'.length), param: attribute.value }))
+      .filter(rule => !RESERVED_ATTRIBUTES.includes(rule.name));
+  }
+  
+  /**
+   * Show a validation result: the state class, the message in .form-text,
+   * aria-invalid and aria-describedby
+   * @param {HTMLElement} field - Field element
+   * @param {object} result - { valid, state, message }
+   */
+  applyResult(field, result) {
+    Object.entries(STATE_CLASSES).forEach(([state, className]) => {
+      field.classList.toggle(className, result.state === state);
+    });
+    
+    if (result.valid) {
+      field.removeAttribute('aria-invalid');
+    } else {
+      field.setAttribute('aria-invalid', 'true');
+    }
+    
+    const formText = this.getFormText(field, Boolean(result.message));
+    if (!formText) return;
+    
+    ['error', 'warning'].forEach(state => {
+      formText.classList.toggle(`form-text-${state}`, result.state === state && Boolean(result.message));
+    });
+    
+    if (result.message) {
+      if (!this.helpTexts.has(formText)) {
+        this.helpTexts.set(formText, formText.textContent);
+      }
+      
+      formText.textContent = result.message;
+    } else if (this.helpTexts.has(formText)) {
+      formText.textContent = this.helpTexts.get(formText);
+      this.helpTexts.delete(formText);
+    }
+  }
+  
+  /**
+   * Get the .form-text describing a field, linked through aria-describedby
+   * @param {HTMLElement} field - Field element
+   * @param {boolean} create - Add a .form-text after the field when there is none
+   * @returns {HTMLElement|null} The .form-text element
+   */
+  getFormText(field, create = false) {
+    const group = field.closest('.form-group, .form-check') || field.parentElement;
+    let formText = group.querySelector('.form-text');
+    
+    if (!formText) {
+      if (!create) return null;
+      
+      formText = document.createElement('div');
+      formText.className = 'form-text';
+      field.insertAdjacentElement('afterend', formText);
+    }
+    
+    if (!formText.id) formText.id = `form-text-${++idCount}`;
+    formText.setAttribute('aria-live', 'polite');
+    
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!describedBy.includes(formText.id)) {
+      field.setAttribute('aria-describedby', [...describedBy, formText.id].join(' '));
+    }
+    
+    return formText;
+  }
+  
+  /**
+   * Remove the validation state of a field
+   * @param {HTMLElement} field - Field element
+   */
+  clearField(field) {
+    this.runs.set(field, (this.runs.get(field) || 0) + 1);
+    this.applyResult(field, { valid: true, state: null, message: '' });
+  }
+  
+  /**
+   * Remove the validation state of every field
+   */
+  reset() {
+    this.getFields().forEach(field => this.clearField(field));
+  }
+  
+  /**
+   * Validate before submitting; invalid forms are not submitted and their
+   * first invalid field is focused and shaken
+   * @param {SubmitEvent} e - Submit event
+   */
+  handleSubmit(e) {
+    // The form was validated and is being submitted again
+    if (this.submitting) {
+      this.submitting = false;
+      return;
+    }
+    
+    // Async rules may still be running, so the form is submitted again once
+    // valid. Until then no other submit listener, e.g. an AJAX handler, runs.
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    
+    this.validate().then(valid => {
+      if (!valid) {
+        const field = this.getFields().find(element => element.getAttribute('aria-invalid') === 'true');
+        
+        this.form.dispatchEvent(new CustomEvent('form:invalid', {
+          bubbles: true,
+          detail: { field, validator: this }
+        }));
+        
+        if (field) {
+          field.focus();
+          animations.shake(field);
+        }
+        return;
+      }
+      
+      // Cancelable so the page can handle the submission itself
+      const submit = this.form.dispatchEvent(new CustomEvent('form:valid', {
+        bubbles: true,
+        cancelable: true,
+        detail: { validator: this }
+      }));
+      
+      if (submit) {
+        this.submitting = true;
+        this.form.requestSubmit(e.submitter || undefined);
+      }
+    });
+  }
+  
+  /**
+   * Validate a field as it loses focus
+   * @param {FocusEvent} e - Focusout event
+   */
+  handleFocusout(e) {
+    if (this.options.validateOn === 'blur' && this.isField(e.target)) {
+      this.validateField(e.target);
+    }
+  }
+  
+  /**
+   * Validate an invalid field again while it is corrected
+   * @param {Event} e - Input or change event
+   */
+  handleInput(e) {
+    if (this.isField(e.target) && e.target.getAttribute('aria-invalid') === 'true') {
+      this.validateField(e.target);
+    }
+  }
+  
+  /**
+   * Clear the validation state when the form is reset
+   */
+  handleReset() {
+    this.reset();
+  }
+  
+  /**
+   * Remove the listeners and forget the controller
+   */
+  dispose() {
+    this.form.removeEventListener('submit', this.handleSubmit, true);
+    this.form.removeEventListener('focusout', this.handleFocusout);
+    this.form.removeEventListener('input', this.handleInput);
+    this.form.removeEventListener('change', this.handleInput);
+    this.form.removeEventListener('reset', this.handleReset);
+    instances.delete(this.form);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormValidator;
+}
+
+export default FormValidator;
\ No newline at end of file
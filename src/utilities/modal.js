@@ -0,0 +1,313 @@
+/**
+ * Unified Theme - Modal
+ * Dialogs with a focus trap, scroll lock, Escape and backdrop dismissal,
+ * restored focus and support for stacked modals
+ */
+
+import AnimationUtils from './animations.js';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Controllers by modal element, created on first use
+const instances = new WeakMap();
+
+// Open modals, the topmost last
+const stack = [];
+
+// Body styles replaced by the scroll lock
+let scrollLock = null;
+
+const animations = new AnimationUtils();
+
+class Modal {
+  /**
+   * @param {HTMLElement} element - Modal backdrop element containing a .modal-dialog
+   * @param {object} options - Modal options
+   * @param {boolean} options.dismissible - Close on Escape and backdrop clicks, false with data-modal-static
+   * @param {number} options.duration - Open and close transition in ms
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      dismissible: !element.hasAttribute('data-modal-static'),
+      duration: 200,
+      ...options
+    };
+    
+    this.dialog = element.querySelector('.modal-dialog') || element;
+    this.returnFocus = null;
+    
+    element.setAttribute('role', element.getAttribute('role') || 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    
+    if (!element.hasAttribute('aria-labelledby')) {
+      const title = element.querySelector('.modal-title');
+      if (title && title.id) element.setAttribute('aria-labelledby', title.id);
+    }
+    
+    // Lets the dialog receive focus when it has no focusable content
+    if (!this.dialog.hasAttribute('tabindex')) {
+      this.dialog.setAttribute('tabindex', '-1');
+    }
+    
+    instances.set(element, this);
+  }
+  
+  /**
+   * Get the controller of a modal, creating it on first use
+   * @param {HTMLElement} element - Modal element
+   * @param {object} options - Options used when the controller is created
+   * @returns {Modal} The controller
+   */
+  static getOrCreate(element, options = {}) {
+    return instances.get(element) || new Modal(element, options);
+  }
+  
+  /**
+   * Get the topmost open modal
+   * @returns {Modal|null} The controller, or null when no modal is open
+   */
+  static getTop() {
+    return stack[stack.length - 1] || null;
+  }
+  
+  /**
+   * Check whether the modal is open
+   */
+  isOpen() {
+    return stack.includes(this);
+  }
+  
+  /**
+   * Check whether the modal is the topmost open modal
+   */
+  isTop() {
+    return Modal.getTop() === this;
+  }
+  
+  /**
+   * Get the focusable elements inside the dialog
+   * @returns {HTMLElement[]} Focusable elements in document order
+   */
+  getFocusable() {
+    return Array.from(this.dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(element => !element.closest('[hidden]') && !element.closest('[inert]'));
+  }
+  
+  /**
+   * Open the modal on top of any open modals
+   * @returns {boolean} Whether the modal was opened
+   */
+  show() {
+    if (this.isOpen()) return true;
+    if (!this.dispatch('modal:show')) return false;
+    
+    this.returnFocus = document.activeElement;
+    
+    if (stack.length === 0) {
+      lockScroll();
+      document.addEventListener('keydown', handleKeydown);
+      document.addEventListener('focusin', handleFocusin);
+    }
+    
+    // Reopened while closing
+    animations.cancel(this.element);
+    
+    // Each modal is stacked above the one below it
+    this.element.style.zIndex = '';
+    this.element.hidden = false;
+    this.element.style.display = '';
+    this.element.style.opacity = '';
+    
+    const baseZIndex = parseInt(window.getComputedStyle(this.element).zIndex, 10) || 50;
+    this.element.style.zIndex = String(baseZIndex + stack.length * 10);
+    
+    stack.push(this);
+    
+    animations.scaleIn(this.dialog, this.options.duration, null, 0.95);
+    
+    const autofocus = this.dialog.querySelector('[autofocus]');
+    (autofocus || this.getFocusable()[0] || this.dialog).focus();
+    
+    return true;
+  }
+  
+  /**
+   * Close the modal and restore focus to the element that opened it
+   * @returns {boolean} Whether the modal was closed
+   */
+  hide() {
+    if (!this.isOpen()) return false;
+    if (!this.dispatch('modal:hide')) return false;
+    
+    stack.splice(stack.indexOf(this), 1);
+    
+    if (stack.length === 0) {
+      unlockScroll();
+      document.removeEventListener('keydown', handleKeydown);
+      document.removeEventListener('focusin', handleFocusin);
+    }
+    
+    // Not called when show() interrupts the transition
+    animations.fadeOut(this.element, this.options.duration, () => {
+      this.element.hidden = true;
+      this.element.style.display = '';
+    });
+    
+    const returnFocus = this.returnFocus;
+    this.returnFocus = null;
+    
+    if (returnFocus && returnFocus.isConnected && returnFocus.focus) {
+      returnFocus.focus();
+    } else if (stack.length > 0) {
+      Modal.getTop().focusFirst();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Open or close the modal
+   */
+  toggle() {
+    return this.isOpen() ? this.hide() : this.show();
+  }
+  
+  /**
+   * Move focus to the first focusable element, or the dialog itself
+   */
+  focusFirst() {
+    (this.getFocusable()[0] || this.dialog).focus();
+  }
+  
+  /**
+   * Keep Tab and Shift+Tab inside the dialog
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  trapTab(e) {
+    const focusable = this.getFocusable();
+    
+    if (focusable.length === 0) {
+      e.preventDefault();
+      this.dialog.focus();
+      return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  /**
+   * Handle a click inside the modal: close buttons and the backdrop
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    if (!this.isTop()) return;
+    
+    if (e.target.closest('[data-modal-close]')) {
+      e.preventDefault();
+      this.hide();
+    } else if (e.target === this.element && this.options.dismissible) {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Dispatch a cancelable modal event on the modal element
+   * @param {string} type - 'modal:show' or 'modal:hide'
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  dispatch(type) {
+    return this.element.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      detail: { modal: this }
+    }));
+  }
+}
+
+/**
+ * Close the topmost modal on Escape and trap Tab inside it
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleKeydown(e) {
+  const top = Modal.getTop();
+  if (!top) return;
+  
+  // An open dropdown inside the modal closes first and prevents the Escape
+  if (e.key === 'Escape' && e.defaultPrevented) return;
+  
+  if (e.key === 'Escape' && top.options.dismissible) {
+    e.preventDefault();
+    top.hide();
+  } else if (e.key === 'Tab') {
+    top.trapTab(e);
+  }
+}
+
+/**
+ * Bring focus back into the topmost modal when it escapes, e.g. by a click
+ * on an element below or focus moved by script
+ * @param {FocusEvent} e - Focusin event
+ */
+function handleFocusin(e) {
+  const top = Modal.getTop();
+  
+  if (top && !top.element.contains(e.target)) {
+    top.focusFirst();
+  }
+}
+
+/**
+ * Stop the page scrolling behind the modals, keeping the scrollbar width
+ * so the content does not shift
+ */
+function lockScroll() {
+  const body = document.body;
+  const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+  
+  scrollLock = { paddingRight: body.style.paddingRight };
+  
+  if (scrollbarWidth > 0) {
+    const padding = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+    body.style.paddingRight = `${padding + scrollbarWidth}px`;
+  }
+  
+  body.classList.add('modal-open');
+}
+
+/**
+ * Restore page scrolling
+ */
+function unlockScroll() {
+  if (!scrollLock) return;
+  
+  document.body.style.paddingRight = scrollLock.paddingRight;
+  document.body.classList.remove('modal-open');
+  scrollLock = null;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Modal;
+}
+
+export default Modal;
\ No newline at end of file
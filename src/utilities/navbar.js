@@ -0,0 +1,260 @@
+/**
+ * Unified Theme - Navbar
+ * Responsive navbar: the toggler opens the collapsed menu below the breakpoint,
+ * with an optional hide-on-scroll mode
+ */
+
+let idCount = 0;
+
+class Navbar {
+  /**
+   * @param {HTMLElement} element - .navbar element
+   * @param {object} options - Navbar options
+   * @param {string} options.breakpoint - Breakpoint token above which the menu is always expanded
+   * @param {boolean} options.hideOnScroll - Hide the navbar while scrolling down, show it when scrolling up
+   * @param {number} options.scrollOffset - Distance scrolled before the navbar hides, in pixels
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      breakpoint: element.getAttribute('data-navbar-breakpoint') || 'md',
+      hideOnScroll: element.hasAttribute('data-navbar-hide-on-scroll'),
+      scrollOffset: 64,
+      ...options
+    };
+    
+    this.toggler = element.querySelector('.navbar-toggler');
+    this.collapse = this.findCollapse();
+    this.lastScrollY = window.scrollY;
+    this.scrollFrame = null;
+    
+    this.handleTogglerClick = this.handleTogglerClick.bind(this);
+    this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleNavigate = this.handleNavigate.bind(this);
+    this.handleBreakpoint = this.handleBreakpoint.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    
+    this.init();
+  }
+  
+  /**
+   * Find the collapse the toggler controls
+   * @returns {HTMLElement|null} The collapse element
+   */
+  findCollapse() {
+    const targetId = this.toggler && (
+      this.toggler.getAttribute('aria-controls') ||
+      this.toggler.getAttribute('data-collapse-toggle')
+    );
+    
+    return (targetId && document.getElementById(targetId)) ||
+      this.element.querySelector('.navbar-collapse');
+  }
+  
+  /**
+   * Wire up the toggler, the breakpoint and the scroll mode
+   */
+  init() {
+    if (this.toggler && this.collapse) {
+      if (!this.collapse.id) this.collapse.id = `navbar-collapse-${++idCount}`;
+      
+      // The styles only collapse the menu of navbars marked with their breakpoint
+      this.element.classList.add(`navbar-expand-${this.options.breakpoint}`);
+      
+      this.toggler.setAttribute('aria-controls', this.collapse.id);
+      this.toggler.setAttribute('aria-expanded', String(this.isOpen()));
+      
+      if (!this.toggler.hasAttribute('aria-label') && !this.toggler.textContent.trim()) {
+        this.toggler.setAttribute('aria-label', 'Toggle navigation');
+      }
+      
+      this.toggler.addEventListener('click', this.handleTogglerClick);
+      this.collapse.addEventListener('click', this.handleNavigate);
+      window.addEventListener('popstate', this.handleNavigate);
+      window.addEventListener('hashchange', this.handleNavigate);
+      
+      // The breakpoint comes from the --breakpoint-* tokens so it matches the styles
+      const breakpoint = window.getComputedStyle(document.documentElement)
+        .getPropertyValue(`--breakpoint-${this.options.breakpoint}`)
+        .trim() || '768px';
+      
+      this.breakpointQuery = window.matchMedia(`(min-width: ${breakpoint})`);
+      this.breakpointQuery.addEventListener('change', this.handleBreakpoint);
+    }
+    
+    if (this.options.hideOnScroll) {
+      this.element.classList.add('navbar-sticky');
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+    }
+  }
+  
+  /**
+   * Check whether the collapsed menu is open
+   */
+  isOpen() {
+    return Boolean(this.collapse && this.collapse.classList.contains('show'));
+  }
+  
+  /**
+   * Open the collapsed menu
+   * @returns {boolean} Whether the menu was opened
+   */
+  show() {
+    if (!this.collapse || this.isOpen()) return false;
+    if (!this.dispatch('navbar:show')) return false;
+    
+    this.collapse.classList.add('show');
+    this.toggler.setAttribute('aria-expanded', 'true');
+    this.element.classList.remove('navbar-hidden');
+    
+    document.addEventListener('click', this.handleOutsideClick);
+    document.addEventListener('keydown', this.handleKeydown);
+    
+    return true;
+  }
+  
+  /**
+   * Close the collapsed menu
+   * @param {boolean} returnFocus - Move focus back to the toggler
+   * @returns {boolean} Whether the menu was closed
+   */
+  hide(returnFocus = false) {
+    if (!this.isOpen()) return false;
+    if (!this.dispatch('navbar:hide')) return false;
+    
+    this.collapse.classList.remove('show');
+    this.toggler.setAttribute('aria-expanded', 'false');
+    
+    document.removeEventListener('click', this.handleOutsideClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+    
+    if (returnFocus) {
+      this.toggler.focus();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Open or close the collapsed menu
+   */
+  toggle() {
+    return this.isOpen() ? this.hide() : this.show();
+  }
+  
+  /**
+   * Toggle the menu from the toggler
+   * @param {MouseEvent} e - Click event
+   */
+  handleTogglerClick(e) {
+    e.preventDefault();
+    this.toggle();
+  }
+  
+  /**
+   * Close the menu when clicking outside the navbar
+   * @param {MouseEvent} e - Click event
+   */
+  handleOutsideClick(e) {
+    if (!this.element.contains(e.target) && !this.collapse.contains(e.target)) {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Close the menu on Escape
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      const focusInside = this.collapse.contains(document.activeElement);
+      this.hide(focusInside || document.activeElement === this.toggler);
+    }
+  }
+  
+  /**
+   * Close the menu after navigating, by a link in the menu or by history
+   * @param {Event} e - Click, popstate or hashchange event
+   */
+  handleNavigate(e) {
+    if (e.type === 'click') {
+      const link = e.target.closest('a[href], .nav-link');
+      
+      // Dropdown toggles open a submenu instead of navigating
+      if (!link || link.matches('[data-dropdown-toggle], .dropdown-toggle')) return;
+    }
+    
+    this.hide();
+  }
+  
+  /**
+   * Reset the menu when the viewport grows past the breakpoint
+   * @param {MediaQueryListEvent} e - Media query change event
+   */
+  handleBreakpoint(e) {
+    if (e.matches && this.isOpen()) {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Hide the navbar while scrolling down and show it when scrolling up
+   */
+  handleScroll() {
+    if (this.scrollFrame) return;
+    
+    this.scrollFrame = window.requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      
+      const scrollY = window.scrollY;
+      const scrollingDown = scrollY > this.lastScrollY;
+      const keepVisible = this.isOpen() ||
+        this.element.contains(document.activeElement) ||
+        scrollY < this.options.scrollOffset;
+      
+      this.element.classList.toggle('navbar-hidden', scrollingDown && !keepVisible);
+      this.lastScrollY = scrollY;
+    });
+  }
+  
+  /**
+   * Dispatch a cancelable navbar event on the navbar
+   * @param {string} type - 'navbar:show' or 'navbar:hide'
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  dispatch(type) {
+    return this.element.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      detail: { navbar: this }
+    }));
+  }
+  
+  /**
+   * Remove every listener added by the controller
+   */
+  dispose() {
+    this.hide();
+    
+    if (this.toggler && this.collapse) {
+      this.toggler.removeEventListener('click', this.handleTogglerClick);
+      this.collapse.removeEventListener('click', this.handleNavigate);
+      window.removeEventListener('popstate', this.handleNavigate);
+      window.removeEventListener('hashchange', this.handleNavigate);
+      this.breakpointQuery.removeEventListener('change', this.handleBreakpoint);
+      this.element.classList.remove(`navbar-expand-${this.options.breakpoint}`);
+    }
+    
+    window.removeEventListener('scroll', this.handleScroll);
+    window.cancelAnimationFrame(this.scrollFrame);
+    this.element.classList.remove('navbar-hidden');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Navbar;
+}
+
+export default Navbar;
\ No newline at end of file
@@ -0,0 +1,546 @@
+/**
+ * Unified Theme - Notifications
+ * Toast notifications with a visible limit and queue, actions, progress,
+ * live updates and announcements for screen readers
+ */
+
+const POSITIONS = ['top-right', 'top-left', 'top-center', 'bottom-right', 'bottom-left', 'bottom-center'];
+
+let idCount = 0;
+
+/**
+ * Get a notification id from the id itself or the notification element
+ * @param {string|HTMLElement} target - Notification id or element
+ * @returns {string|undefined} The id
+ */
+function toId(target) {
+  return typeof target === 'string' ? target : target && target.id;
+}
+
+class NotificationManager {
+  /**
+   * @param {object} options - Defaults for every notification
+   * @param {number} options.maxVisible - Notifications shown at once, the rest wait in a queue
+   * @param {number} options.duration - Time before dismissal in ms, 0 to stay until dismissed
+   * @param {string} options.position - 'top-right', 'top-left', 'top-center', 'bottom-right', 'bottom-left' or 'bottom-center'
+   * @param {boolean} options.dismissible - Show a close button
+   * @param {boolean} options.pauseOnHover - Pause the timer while hovered or focused
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxVisible: 3,
+      type: 'info',
+      duration: 5000,
+      position: 'top-right',
+      dismissible: true,
+      pauseOnHover: true,
+      ...options
+    };
+    
+    // Every notification by id, visible and queued
+    this.notifications = new Map();
+    this.queue = [];
+  }
+  
+  /**
+   * Show a notification, or queue it when the visible limit is reached
+   * @param {string} message - Message text
+   * @param {object} options - Notification options
+   * @param {string} options.id - Id to update or dismiss it by; a notification with the same id is updated instead
+   * @param {string} options.type - Alert variant, e.g. 'info', 'success', 'warning' or 'error'
+   * @param {string} options.title - Bold title above the message
+   * @param {object[]} options.actions - Buttons, { label, onClick(id), dismiss } where dismiss defaults to true
+   * @param {boolean|number} options.progress - true for a countdown bar, or a 0-1 value for a progress bar
+   * @param {Function} options.onDismiss - Called with the id once dismissed
+   * @param {boolean} options.loading - Will change into another message, as with promise(); never merged with another notification
+   * @returns {HTMLElement} The notification element, its id set; added to the page once shown
+   */
+  notify(message, options = {}) {
+    if (options.id && this.notifications.has(options.id)) {
+      this.update(options.id, { ...options, message });
+      return this.notifications.get(options.id).element;
+    }
+    
+    // The same final message is not shown twice; restart the existing one instead.
+    // Loading notifications are kept apart, each turns into its own result.
+    const duplicate = !options.id && !options.loading && Array.from(this.notifications.values()).find(notification => (
+      !notification.config.loading &&
+      notification.config.message === message &&
+      notification.config.type === (options.type || this.options.type)
+    ));
+    
+    if (duplicate) {
+      this.update(duplicate.id, { duration: duplicate.config.duration });
+      return duplicate.element;
+    }
+    
+    const id = options.id || `notification-${++idCount}`;
+    const config = { ...this.options, ...options, message };
+    
+    if (!POSITIONS.includes(config.position)) {
+      console.warn(`Notification position "${config.position}" not found, using ${this.options.position}`);
+      config.position = this.options.position;
+    }
+    
+    const notification = {
+      id,
+      config,
+      element: this.createElement(id),
+      visible: false,
+      timer: null,
+      remaining: 0,
+      startedAt: 0
+    };
+    
+    this.notifications.set(id, notification);
+    this.render(notification);
+    
+    if (this.getVisible().length < this.options.maxVisible) {
+      this.show(notification);
+    } else {
+      this.queue.push(notification);
+    }
+    
+    return notification.element;
+  }
+  
+  /**
+   * Change a visible or queued notification in place. Passing duration restarts its timer.
+   * @param {string|HTMLElement} target - Notification id or element
+   * @param {object} changes - Any notify() option, plus message
+   * @returns {boolean} Whether the notification exists
+   */
+  update(target, changes = {}) {
+    const notification = this.notifications.get(toId(target));
+    if (!notification) return false;
+    
+    const { position } = notification.config;
+    
+    if (changes.position !== undefined && !POSITIONS.includes(changes.position)) {
+      console.warn(`Notification position "${changes.position}" not found, keeping ${position}`);
+      changes = { ...changes, position };
+    }
+    
+    notification.config = { ...notification.config, ...changes };
+    this.render(notification);
+    
+    if (notification.visible && notification.config.position !== position) {
+      this.getContainer(notification.config.position).appendChild(notification.element);
+    }
+    
+    // Other changes, such as progress updates, leave the timer running
+    if (notification.visible && changes.duration !== undefined) {
+      this.startTimer(notification, notification.config.duration);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Dismiss a notification and show the next one from the queue
+   * @param {string|HTMLElement} target - Notification id or element
+   * @returns {boolean} Whether the notification existed
+   */
+  dismiss(target) {
+    const id = toId(target);
+    const notification = this.notifications.get(id);
+    if (!notification) return false;
+    
+    this.notifications.delete(id);
+    this.stopTimer(notification);
+    
+    const queued = this.queue.indexOf(notification);
+    
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else {
+      const { element } = notification;
+      notification.visible = false;
+      
+      element.style.transition = 'all 0.3s ease';
+      element.style.opacity = '0';
+      element.style.transform = 'translateY(-10px)';
+      
+      setTimeout(() => {
+        element.remove();
+      }, 300);
+      
+      this.showNext();
+    }
+    
+    if (notification.config.onDismiss) {
+      notification.config.onDismiss(id);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Dismiss every notification, including queued ones
+   */
+  dismissAll() {
+    // Empty the queue first so dismissing does not reveal queued notifications
+    this.queue.slice().forEach(notification => this.dismiss(notification.id));
+    Array.from(this.notifications.keys()).forEach(id => this.dismiss(id));
+  }
+  
+  /**
+   * Show a loading notification that turns into a success or error message
+   * when the promise settles
+   * @param {Promise} promise - Work to report on
+   * @param {object} messages - { loading, success, error }; success and error may be functions of the result
+   * @param {object} options - notify() options for the notification
+   * @returns {Promise} The original promise
+   */
+  promise(promise, messages = {}, options = {}) {
+    const element = this.notify(messages.loading || 'Loading…', {
+      ...options,
+      type: 'info',
+      duration: 0,
+      dismissible: false,
+      loading: true
+    });
+    
+    const settle = (type, message, value) => {
+      this.update(element, {
+        type,
+        message: typeof message === 'function' ? message(value) : message,
+        loading: false,
+        duration: options.duration !== undefined ? options.duration : this.options.duration,
+        dismissible: options.dismissible !== undefined ? options.dismissible : this.options.dismissible
+      });
+    };
+    
+    Promise.resolve(promise).then(
+      value => settle('success', messages.success || 'Done', value),
+      error => settle('error', messages.error || 'Something went wrong', error)
+    );
+    
+    return promise;
+  }
+  
+  /**
+   * Get the ids of every notification, visible first
+   * @returns {string[]} Notification ids
+   */
+  list() {
+    return Array.from(this.notifications.keys());
+  }
+  
+  /**
+   * Get the visible notifications
+   * @returns {object[]} Notification records
+   */
+  getVisible() {
+    return Array.from(this.notifications.values()).filter(notification => notification.visible);
+  }
+  
+  /**
+   * Create the notification element and its pause-on-hover listeners
+   * @param {string} id - Notification id
+   * @returns {HTMLElement} The element
+   */
+  createElement(id) {
+    const element = document.createElement('div');
+    element.id = id;
+    
+    const content = document.createElement('div');
+    content.className = 'notification-content';
+    
+    const messageSpan = document.createElement('span');
+    messageSpan.className = 'notification-message';
+    content.appendChild(messageSpan);
+    element.appendChild(content);
+    
+    const pause = () => {
+      const notification = this.notifications.get(id);
+      if (notification && notification.config.pauseOnHover) this.pauseTimer(notification);
+    };
+    
+    const resume = (e) => {
+      const notification = this.notifications.get(id);
+      
+      // Stay paused while focus or the pointer is still inside
+      if (!notification || element.contains(e.relatedTarget) || element.contains(document.activeElement)) return;
+      if (notification.config.pauseOnHover) this.resumeTimer(notification);
+    };
+    
+    element.addEventListener('mouseenter', pause);
+    element.addEventListener('focusin', pause);
+    element.addEventListener('mouseleave', resume);
+    element.addEventListener('focusout', resume);
+    
+    return element;
+  }
+  
+  /**
+   * Bring the content of a notification in line with its config. Parts are
+   * patched in place, so unchanged text is not announced again, a focused
+   * action keeps focus and the countdown keeps running.
+   * @param {object} notification - Notification record
+   */
+  render(notification) {
+    const { element, config, id } = notification;
+    const content = element.querySelector('.notification-content');
+    
+    // The container is the live region, so the notification has no role of its own
+    element.className = `alert alert-${config.type} notification notification-${config.position}`;
+    
+    let title = content.querySelector('.notification-title');
+    
+    if (config.title) {
+      if (!title) {
+        title = document.createElement('strong');
+        title.className = 'notification-title';
+        content.insertBefore(title, content.firstChild);
+      }
+      
+      if (title.textContent !== config.title) title.textContent = config.title;
+    } else if (title) {
+      title.remove();
+    }
+    
+    const messageSpan = content.querySelector('.notification-message');
+    if (messageSpan.textContent !== config.message) messageSpan.textContent = config.message;
+    
+    this.renderActions(notification);
+    
+    let closeButton = element.querySelector('.alert-close');
+    
+    if (config.dismissible && !closeButton) {
+      closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = 'alert-close';
+      closeButton.setAttribute('aria-label', 'Close');
+      closeButton.innerHTML = '&times;';
+      closeButton.addEventListener('click', () => this.dismiss(id));
+      element.insertBefore(closeButton, element.querySelector('.notification-progress'));
+    } else if (!config.dismissible && closeButton) {
+      closeButton.remove();
+    }
+    
+    this.renderProgress(notification);
+  }
+  
+  /**
+   * Patch the action buttons, reusing existing buttons by position
+   * @param {object} notification - Notification record
+   */
+  renderActions(notification) {
+    const { element, config, id } = notification;
+    const actions = config.actions || [];
+    let container = element.querySelector('.notification-actions');
+    
+    if (actions.length === 0) {
+      if (container) container.remove();
+      return;
+    }
+    
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'notification-actions';
+      element.insertBefore(container, element.querySelector('.alert-close, .notification-progress'));
+    }
+    
+    const buttons = Array.from(container.children);
+    
+    actions.forEach((action, index) => {
+      let button = buttons[index];
+      
+      if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        
+        // Read the action on click, as an update may have replaced it
+        button.addEventListener('click', () => {
+          const current = notification.config.actions[index];
+          if (current.onClick) current.onClick(id);
+          if (current.dismiss !== false) this.dismiss(id);
+        });
+        container.appendChild(button);
+      }
+      
+      button.className = action.className || 'btn btn-sm btn-outline';
+      if (button.textContent !== action.label) button.textContent = action.label;
+    });
+    
+    buttons.slice(actions.length).forEach(button => button.remove());
+  }
+  
+  /**
+   * Patch the progress bar, keeping a running countdown where it is
+   * @param {object} notification - Notification record
+   */
+  renderProgress(notification) {
+    const { element, config } = notification;
+    let progress = element.querySelector('.notification-progress');
+    
+    if (config.progress === undefined || config.progress === false) {
+      if (progress) progress.remove();
+      return;
+    }
+    
+    const isNew = !progress;
+    
+    if (isNew) {
+      progress = document.createElement('div');
+      progress.className = 'notification-progress';
+      
+      const bar = document.createElement('div');
+      bar.className = 'notification-progress-bar';
+      progress.appendChild(bar);
+      element.appendChild(progress);
+    }
+    
+    const bar = progress.querySelector('.notification-progress-bar');
+    
+    if (typeof config.progress === 'number') {
+      const value = Math.min(1, Math.max(0, config.progress));
+      progress.setAttribute('role', 'progressbar');
+      progress.setAttribute('aria-valuemin', '0');
+      progress.setAttribute('aria-valuemax', '100');
+      progress.setAttribute('aria-valuenow', String(Math.round(value * 100)));
+      bar.style.transition = '';
+      bar.style.transform = `scaleX(${value})`;
+    } else if (isNew || progress.hasAttribute('role')) {
+      // Turned into a countdown bar
+      ['role', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow'].forEach(name => progress.removeAttribute(name));
+      this.animateCountdown(notification);
+    }
+  }
+  
+  /**
+   * Add a notification to its container and start its timer
+   * @param {object} notification - Notification record
+   */
+  show(notification) {
+    const { element, config } = notification;
+    const isNew = !document.getElementById(`notifications-${config.position}`);
+    const container = this.getContainer(config.position);
+    
+    notification.visible = true;
+    
+    // A live region only announces changes made after it is in the page
+    if (isNew) {
+      setTimeout(() => {
+        if (notification.visible) container.appendChild(element);
+      }, 100);
+    } else {
+      container.appendChild(element);
+    }
+    
+    this.startTimer(notification, config.duration);
+  }
+  
+  /**
+   * Show queued notifications while there is room
+   */
+  showNext() {
+    while (this.queue.length > 0 && this.getVisible().length < this.options.maxVisible) {
+      this.show(this.queue.shift());
+    }
+  }
+  
+  /**
+   * Start or restart the dismissal timer
+   * @param {object} notification - Notification record
+   * @param {number} duration - Time left in ms, 0 for no timer
+   */
+  startTimer(notification, duration) {
+    this.stopTimer(notification);
+    notification.remaining = duration;
+    
+    if (duration > 0) {
+      notification.startedAt = Date.now();
+      notification.timer = setTimeout(() => this.dismiss(notification.id), duration);
+    }
+    
+    this.animateCountdown(notification);
+  }
+  
+  /**
+   * Clear the dismissal timer
+   * @param {object} notification - Notification record
+   */
+  stopTimer(notification) {
+    clearTimeout(notification.timer);
+    notification.timer = null;
+  }
+  
+  /**
+   * Pause the timer, keeping the remaining time
+   * @param {object} notification - Notification record
+   */
+  pauseTimer(notification) {
+    if (!notification.timer) return;
+    
+    this.stopTimer(notification);
+    notification.remaining = Math.max(0, notification.remaining - (Date.now() - notification.startedAt));
+    this.animateCountdown(notification);
+  }
+  
+  /**
+   * Resume a paused timer
+   * @param {object} notification - Notification record
+   */
+  resumeTimer(notification) {
+    if (notification.timer || notification.remaining <= 0) return;
+    
+    this.startTimer(notification, notification.remaining);
+  }
+  
+  /**
+   * Sync the countdown bar with the timer: running shrinks it, paused freezes it
+   * @param {object} notification - Notification record
+   */
+  animateCountdown(notification) {
+    const { config, element } = notification;
+    const bar = element.querySelector('.notification-progress-bar');
+    
+    if (!bar || config.progress !== true || !(config.duration > 0)) return;
+    
+    const remaining = notification.timer
+      ? Math.max(0, notification.remaining - (Date.now() - notification.startedAt))
+      : notification.remaining;
+    
+    bar.style.transition = 'none';
+    bar.style.transform = `scaleX(${remaining / config.duration})`;
+    
+    if (notification.timer) {
+      // Force reflow
+      bar.offsetHeight;
+      
+      bar.style.transition = `transform ${remaining}ms linear`;
+      bar.style.transform = 'scaleX(0)';
+    }
+  }
+  
+  /**
+   * Get or create the container for a position. Containers are polite
+   * live regions so new notifications are announced.
+   * @param {string} position - Container position
+   * @returns {HTMLElement} The container
+   */
+  getContainer(position) {
+    const containerId = `notifications-${position}`;
+    let container = document.getElementById(containerId);
+    
+    if (!container) {
+      container = document.createElement('div');
+      container.id = containerId;
+      container.className = `notifications notifications-${position}`;
+      container.setAttribute('aria-live', 'polite');
+      container.setAttribute('aria-label', 'Notifications');
+      document.body.appendChild(container);
+    }
+    
+    return container;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotificationManager;
+}
+
+export default NotificationManager;
\ No newline at end of file
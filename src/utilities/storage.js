@@ -0,0 +1,247 @@
+/**
+ * Unified Theme - Storage Adapters
+ * Persistence backends for the theme preference
+ *
+ * A custom adapter is any object with get(key), set(key, value) and remove(key).
+ * get() returns the stored string or null.
+ */
+
+/**
+ * Read a cookie from a Cookie header or document.cookie string
+ * @param {string} cookies - Cookie string, e.g. 'a=1; unified-theme-mode=dark'
+ * @param {string} key - Cookie name
+ * @returns {string|null} The decoded value, or null
+ */
+function readCookie(cookies, key) {
+  const prefix = `${encodeURIComponent(key)}=`;
+  const cookie = String(cookies || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(prefix));
+  
+  if (!cookie) return null;
+  
+  try {
+    return decodeURIComponent(cookie.slice(prefix.length));
+  } catch (error) {
+    return null;
+  }
+}
+
+class WebStorageAdapter {
+  /**
+   * @param {string} type - 'localStorage' or 'sessionStorage'
+   */
+  constructor(type = 'localStorage') {
+    this.type = type;
+  }
+  
+  /**
+   * Get the underlying Storage object. Accessing it throws in sandboxed
+   * iframes and when storage is disabled, so failures return null.
+   */
+  getStorage() {
+    try {
+      return window[this.type] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} The stored value, or null
+   */
+  get(key) {
+    const storage = this.getStorage();
+    if (!storage) return null;
+    
+    try {
+      return storage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {boolean} Whether the value was stored
+   */
+  set(key, value) {
+    const storage = this.getStorage();
+    if (!storage) return false;
+    
+    try {
+      storage.setItem(key, value);
+      return true;
+    } catch (error) {
+      // Quota exceeded or private mode
+      return false;
+    }
+  }
+  
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {boolean} Whether the value was removed
+   */
+  remove(key) {
+    const storage = this.getStorage();
+    if (!storage) return false;
+    
+    try {
+      storage.removeItem(key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+class CookieStorageAdapter {
+  /**
+   * @param {object} options - Cookie attributes
+   * @param {string} options.path - Cookie path
+   * @param {number} options.maxAge - Lifetime in seconds
+   * @param {string} options.sameSite - SameSite attribute
+   * @param {string} options.domain - Cookie domain
+   * @param {boolean} options.secure - Only send the cookie over HTTPS
+   */
+  constructor(options = {}) {
+    this.options = {
+      path: '/',
+      maxAge: 60 * 60 * 24 * 365,
+      sameSite: 'Lax',
+      domain: null,
+      secure: false,
+      ...options
+    };
+  }
+  
+  /**
+   * Read a cookie value
+   * @param {string} key - Cookie name
+   * @returns {string|null} The decoded value, or null
+   */
+  get(key) {
+    try {
+      return readCookie(document.cookie, key);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Write a cookie
+   * @param {string} key - Cookie name
+   * @param {string} value - Value to store
+   * @returns {boolean} Whether the cookie was written
+   */
+  set(key, value) {
+    return this.write(key, encodeURIComponent(value), this.options.maxAge);
+  }
+  
+  /**
+   * Expire a cookie
+   * @param {string} key - Cookie name
+   * @returns {boolean} Whether the cookie was removed
+   */
+  remove(key) {
+    return this.write(key, '', 0);
+  }
+  
+  /**
+   * Write a cookie with the configured attributes
+   * @param {string} key - Cookie name
+   * @param {string} value - Encoded cookie value
+   * @param {number} maxAge - Lifetime in seconds
+   */
+  write(key, value, maxAge) {
+    const { path, sameSite, domain, secure } = this.options;
+    const attributes = [`path=${path}`, `max-age=${maxAge}`, `samesite=${sameSite}`];
+    
+    if (domain) attributes.push(`domain=${domain}`);
+    if (secure) attributes.push('secure');
+    
+    try {
+      document.cookie = `${encodeURIComponent(key)}=${value}; ${attributes.join('; ')}`;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Keeps values for the lifetime of the page only
+class MemoryStorageAdapter {
+  constructor() {
+    this.values = new Map();
+  }
+  
+  get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+  
+  set(key, value) {
+    this.values.set(key, String(value));
+    return true;
+  }
+  
+  remove(key) {
+    this.values.delete(key);
+    return true;
+  }
+}
+
+/**
+ * Resolve the storage option to an adapter
+ * @param {string|object} storage - 'localStorage', 'sessionStorage', 'cookie', 'memory' or a custom adapter
+ * @returns {object} Storage adapter
+ */
+function createStorageAdapter(storage = 'localStorage') {
+  if (storage && typeof storage === 'object') {
+    const isAdapter = ['get', 'set', 'remove'].every(method => typeof storage[method] === 'function');
+    
+    if (isAdapter) return storage;
+    
+    console.warn('Storage adapter must implement get, set and remove; using memory storage');
+    return new MemoryStorageAdapter();
+  }
+  
+  switch (storage) {
+    case 'localStorage':
+    case 'sessionStorage':
+      return new WebStorageAdapter(storage);
+    case 'cookie':
+      return new CookieStorageAdapter();
+    case 'memory':
+      return new MemoryStorageAdapter();
+    default:
+      console.warn(`Storage "${storage}" not found, using memory storage`);
+      return new MemoryStorageAdapter();
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WebStorageAdapter,
+    CookieStorageAdapter,
+    MemoryStorageAdapter,
+    createStorageAdapter,
+    readCookie
+  };
+}
+
+export {
+  WebStorageAdapter,
+  CookieStorageAdapter,
+  MemoryStorageAdapter,
+  createStorageAdapter,
+  readCookie
+};
+
+export default createStorageAdapter;
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Unified Theme - Tabs
+ * Tab groups following the WAI-ARIA tabs pattern, with keyboard support
+ * and optional deep-linking through the URL hash
+ */
+
+// Controllers by group element, created on first use
+const instances = new WeakMap();
+
+let idCount = 0;
+
+class Tabs {
+  /**
+   * @param {HTMLElement} element - Group with [data-tab-group]
+   * @param {object} options - Tabs options
+   * @param {string} options.activation - 'auto' selects tabs as they receive focus, 'manual' waits for Enter or Space
+   * @param {string} options.orientation - 'horizontal' or 'vertical', selects the arrow keys
+   * @param {boolean} options.hash - Write the selected panel id to the URL hash
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      activation: element.getAttribute('data-tab-activation') || 'auto',
+      orientation: element.getAttribute('data-tab-orientation') || 'horizontal',
+      hash: element.hasAttribute('data-tab-hash'),
+      ...options
+    };
+    
+    this.setupAria();
+    instances.set(element, this);
+    
+    const tabs = this.getTabs();
+    const selected = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') ||
+      tabs.find(tab => tab.classList.contains('active')) ||
+      this.getEnabledTabs()[0];
+    
+    if (selected) {
+      this.select(selected, { focus: false, updateHash: false, silent: true });
+    }
+  }
+  
+  /**
+   * Get the controller of a tab group, creating it on first use
+   * @param {HTMLElement} element - Group with [data-tab-group]
+   * @param {object} options - Options used when the controller is created
+   * @returns {Tabs} The controller
+   */
+  static getOrCreate(element, options = {}) {
+    return instances.get(element) || new Tabs(element, options);
+  }
+  
+  /**
+   * Select the tab whose panel id matches a URL hash, in a group with hash deep-linking
+   * @param {string} hash - URL hash, e.g. '#billing'
+   * @returns {boolean} Whether a tab was selected
+   */
+  static selectFromHash(hash = window.location.hash) {
+    const id = decodeURIComponent(hash.replace(/^#/, ''));
+    if (!id) return false;
+    
+    const tab = Array.from(document.querySelectorAll('[data-tab]'))
+      .find(element => element.getAttribute('data-tab') === id);
+    const group = tab && tab.closest('[data-tab-group]');
+    
+    if (!group || !group.hasAttribute('data-tab-hash')) return false;
+    
+    return Tabs.getOrCreate(group).select(tab, { focus: false, updateHash: false });
+  }
+  
+  /**
+   * Get the tabs of this group, excluding tabs of nested groups
+   * @returns {HTMLElement[]} Tabs in document order
+   */
+  getTabs() {
+    return Array.from(this.element.querySelectorAll('[data-tab]'))
+      .filter(tab => tab.closest('[data-tab-group]') === this.element);
+  }
+  
+  /**
+   * Get the tabs that can be focused and selected
+   * @returns {HTMLElement[]} Enabled tabs
+   */
+  getEnabledTabs() {
+    return this.getTabs().filter(tab => !tab.disabled && tab.getAttribute('aria-disabled') !== 'true');
+  }
+  
+  /**
+   * Get the panel controlled by a tab
+   * @param {HTMLElement} tab - Tab element
+   * @returns {HTMLElement|null} The panel
+   */
+  getPanel(tab) {
+    return document.getElementById(tab.getAttribute('data-tab'));
+  }
+  
+  /**
+   * Get the selected tab
+   * @returns {HTMLElement|null} The selected tab
+   */
+  getSelected() {
+    return this.getTabs().find(tab => tab.getAttribute('aria-selected') === 'true') || null;
+  }
+  
+  /**
+   * Add the tablist, tab and tabpanel roles and link tabs to their panels
+   */
+  setupAria() {
+    const tabs = this.getTabs();
+    if (tabs.length === 0) return;
+    
+    const tablist = this.element.querySelector('[role="tablist"]') || tabs[0].parentElement;
+    tablist.setAttribute('role', 'tablist');
+    tablist.setAttribute('aria-orientation', this.options.orientation);
+    
+    tabs.forEach(tab => {
+      const panel = this.getPanel(tab);
+      
+      if (!tab.id) tab.id = `tab-${++idCount}`;
+      tab.setAttribute('role', 'tab');
+      
+      if (panel) {
+        tab.setAttribute('aria-controls', panel.id);
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', tab.id);
+        
+        // Panels without focusable content are reachable with Tab
+        if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '0');
+      }
+    });
+  }
+  
+  /**
+   * Select a tab and show its panel, hiding the other panels of this group only
+   * @param {HTMLElement|string|number} tab - Tab element, panel id or index
+   * @param {object} options - Selection options
+   * @param {boolean} options.focus - Move focus to the tab
+   * @param {boolean} options.updateHash - Write the panel id to the URL hash when enabled for the group
+   * @param {boolean} options.silent - Do not dispatch tabs:change
+   * @returns {boolean} Whether the tab was selected
+   */
+  select(tab, options = {}) {
+    const { focus = false, updateHash = true, silent = false } = options;
+    const tabs = this.getTabs();
+    
+    let target = tab;
+    if (typeof tab === 'number') target = tabs[tab];
+    if (typeof tab === 'string') target = tabs.find(element => element.getAttribute('data-tab') === tab);
+    
+    if (!target || !tabs.includes(target) || !this.getEnabledTabs().includes(target)) return false;
+    
+    const previousTab = this.getSelected();
+    
+    tabs.forEach(element => {
+      const selected = element === target;
+      const panel = this.getPanel(element);
+      
+      element.classList.toggle('active', selected);
+      element.setAttribute('aria-selected', String(selected));
+      element.setAttribute('tabindex', selected ? '0' : '-1');
+      
+      if (panel) {
+        panel.hidden = !selected;
+        panel.classList.toggle('active', selected);
+        panel.style.display = '';
+      }
+    });
+    
+    if (focus) {
+      target.focus();
+    }
+    
+    if (updateHash && this.options.hash) {
+      // Replace the entry so switching tabs does not fill the history or scroll the page
+      window.history.replaceState(null, '', `#${target.getAttribute('data-tab')}`);
+    }
+    
+    if (!silent && previousTab !== target) {
+      this.element.dispatchEvent(new CustomEvent('tabs:change', {
+        bubbles: true,
+        detail: {
+          tab: target,
+          panel: this.getPanel(target),
+          previousTab,
+          previousPanel: previousTab ? this.getPanel(previousTab) : null,
+          tabs: this
+        }
+      }));
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Handle a click on a tab
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    const tab = e.target.closest('[data-tab]');
+    
+    if (tab && this.getTabs().includes(tab)) {
+      e.preventDefault();
+      this.select(tab, { focus: true });
+    }
+  }
+  
+  /**
+   * Move between tabs with the arrow keys, Home and End
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    const tab = e.target.closest('[data-tab]');
+    const tabs = this.getEnabledTabs();
+    const index = tabs.indexOf(tab);
+    
+    if (index === -1) return;
+    
+    const vertical = this.options.orientation === 'vertical';
+    const previousKey = vertical ? 'ArrowUp' : 'ArrowLeft';
+    const nextKey = vertical ? 'ArrowDown' : 'ArrowRight';
+    let target = null;
+    
+    switch (e.key) {
+      case previousKey:
+        target = tabs[(index - 1 + tabs.length) % tabs.length];
+        break;
+      case nextKey:
+        target = tabs[(index + 1) % tabs.length];
+        break;
+      case 'Home':
+        target = tabs[0];
+        break;
+      case 'End':
+        target = tabs[tabs.length - 1];
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        this.select(tab);
+        return;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+    
+    if (this.options.activation === 'manual') {
+      target.focus();
+    } else {
+      this.select(target, { focus: true });
+    }
+  }
+  
+  /**
+   * Forget the controller
+   */
+  dispose() {
+    instances.delete(this.element);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tabs;
+}
+
+export default Tabs;
\ No newline at end of file
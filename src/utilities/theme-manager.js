@@ -3,96 +3,786 @@
  * JavaScript utilities for managing themes, dark mode, and component interactions
  */
 
+import AnimationUtils from './animations.js';
+import { getBootstrapScript, resolveInitialTheme, resolveServerTheme } from './bootstrap.js';
+import Collapse from './collapse.js';
+import ColorUtils from './color.js';
+import ContrastAudit from './contrast-audit.js';
+import DesignTokens from './design-tokens.js';
+import Dropdown from './dropdown.js';
+import FormValidator from './form-validation.js';
+import Modal from './modal.js';
+import Navbar from './navbar.js';
+import NotificationManager from './notifications.js';
+import { createStorageAdapter } from './storage.js';
+import Tabs from './tabs.js';
+import ThemeSync from './theme-sync.js';
+
+// Counter identifying each scoped instance, for its style element and root
+let scopeCount = 0;
+
+// Marks the instance active on a root element. A registered symbol is shared
+// by every copy of the library on the page, so duplicate bundles are caught too.
+const ACTIVE_INSTANCE = Symbol.for('unified-theme.instance');
+
 class UnifiedTheme {
   constructor(options = {}) {
+    // A scoped instance themes a subtree and keeps its preference to itself
+    const scoped = Boolean(options.root) && options.root !== document.documentElement;
+    
     this.options = {
+      root: null,
+      autoInit: true,
       enableDarkMode: true,
       autoDetectPreference: true,
       storageKey: 'unified-theme-mode',
+      motion: 'system',
+      motionStorageKey: 'unified-theme-motion',
+      storage: scoped ? 'memory' : 'localStorage',
+      themes: {},
+      themeCycle: null,
+      devMode: false,
+      sync: !scoped,
+      frameSync: false,
+      frameOrigins: [window.location.origin],
+      notifications: {},
       ...options
     };
     
+    this.root = this.options.root || document.documentElement;
+    this.scoped = scoped;
+    this.scopeId = scoped ? String(++scopeCount) : null;
     this.currentTheme = 'light';
-    this.init();
+    this.preference = 'light';
+    this.themes = new Map();
+    this.initialized = false;
+    
+    // Listeners registered by init(), removed by destroy()
+    this.listeners = [];
+    this.navbars = [];
+    this.formValidators = [];
+    
+    // Scoped instances write their theme rules to their own style element
+    // so they do not replace the rules of the page instance. Rules are only
+    // written once init() makes the instance active, so an instance refused
+    // by init() leaves the rules of the active one alone.
+    this.tokens = new DesignTokens({
+      render: false,
+      ...(scoped ? { styleId: `unified-theme-tokens-${this.scopeId}` } : {})
+    });
+    this.storage = createStorageAdapter(this.options.storage);
+    this.sync = new ThemeSync(this, {
+      // A preference kept per tab is not shared with other tabs
+      tabs: this.options.sync && !['sessionStorage', 'memory'].includes(this.options.storage),
+      frames: this.options.frameSync,
+      frameOrigins: this.options.frameOrigins
+    });
+    
+    this.notifications = new NotificationManager(this.options.notifications);
+    
+    // notify() also works detached, e.g. passed as a callback, and carries
+    // the rest of the notification API
+    this.notify = this.notify.bind(this);
+    ['promise', 'update', 'dismiss', 'dismissAll'].forEach(method => {
+      this.notify[method] = this.notifications[method].bind(this.notifications);
+    });
+    
+    // Built-in themes
+    this.registerTheme('light', {}, { colorScheme: 'light' });
+    this.registerTheme('dark', {}, { colorScheme: 'dark' });
+    
+    // Themes passed in options are registered before init so a saved
+    // custom theme can be restored
+    Object.entries(this.options.themes).forEach(([name, config]) => {
+      this.registerTheme(name, config.tokens, config);
+    });
+    
+    if (this.options.autoInit) {
+      this.init();
+    }
   }
   
   /**
-   * Initialize the theme system
+   * Initialize the theme system. Only one instance can be active per root
+   * element, so a second instance does not attach duplicate handlers.
+   * @returns {boolean} Whether the instance is active
    */
   init() {
-    this.setupThemeToggle();
-    this.setupComponentInteractions();
+    if (this.initialized) return true;
+    
+    const active = this.root[ACTIVE_INSTANCE];
+    
+    if (active && active !== this) {
+      console.warn('A UnifiedTheme instance is already active on this element; call destroy() on it first');
+      return false;
+    }
+    
+    this.root[ACTIVE_INSTANCE] = this;
+    this.initialized = true;
+    this.tokens.startRendering();
+    
+    if (this.scoped) {
+      this.root.setAttribute('data-theme-scope', this.scopeId);
+    }
+    
+    // Toggles and components are looked up once the document is parsed,
+    // so a script loaded in <head> still finds them
+    if (document.readyState === 'loading') {
+      this.listen(document, 'DOMContentLoaded', () => this.setupElements());
+    } else {
+      this.setupElements();
+    }
     
     if (this.options.enableDarkMode) {
       this.initDarkMode();
     }
+    
+    // The motion policy applies to the whole page
+    if (!this.scoped) {
+      this.initMotion();
+    }
+    
+    this.sync.connect();
+    
+    return true;
+  }
+  
+  /**
+   * Set up the theme toggles and, for the page instance, the components
+   */
+  setupElements() {
+    this.setupThemeToggle();
+    
+    // Component interactions are delegated from the document, so the
+    // page instance handles them for scoped subtrees too
+    if (!this.scoped) {
+      this.setupComponentInteractions();
+    }
+  }
+  
+  /**
+   * Remove every listener and media query subscription added by init().
+   * The applied theme stays in place, and init() can be called again.
+   */
+  destroy() {
+    if (!this.initialized) return;
+    
+    this.listeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this.listeners = [];
+    this.sync.disconnect();
+    
+    // Open menus hold their own outside click and viewport listeners
+    if (!this.scoped) {
+      this.closeAllDropdowns();
+    }
+    
+    this.navbars.forEach(navbar => navbar.dispose());
+    this.navbars = [];
+    this.formValidators.forEach(validator => validator.dispose());
+    this.formValidators = [];
+    
+    if (this.scoped) {
+      this.root.removeAttribute('data-theme-scope');
+    } else {
+      // The page's animations follow the system again
+      AnimationUtils.setMotionPolicy('system');
+      this.applyMotion('system');
+    }
+    
+    delete this.root[ACTIVE_INSTANCE];
+    this.initialized = false;
+  }
+  
+  /**
+   * Add an event listener that is removed by destroy()
+   * @param {EventTarget} target - Element, document, window or media query list
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
   }
   
   /**
    * Initialize dark mode functionality
    */
   initDarkMode() {
-    // Check for saved theme preference or default to auto-detection
-    const savedTheme = localStorage.getItem(this.options.storageKey);
-    
-    if (savedTheme) {
-      this.setTheme(savedTheme);
-    } else if (this.options.autoDetectPreference) {
-      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      this.setTheme(prefersDark ? 'dark' : 'light');
+    this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    
+    // Check for a saved preference or default to following the system,
+    // using the same resolution as the bootstrap script
+    const state = resolveInitialTheme(this.readPreference(), {
+      autoDetectPreference: this.options.autoDetectPreference,
+      themes: this.getColorSchemes()
+    }, this.colorSchemeQuery.matches);
+    
+    this.preference = state.preference;
+    
+    if (this.root.getAttribute('data-theme') === state.theme) {
+      // Already applied by the bootstrap script or the server, so adopt it
+      // without dispatching themeChanged again
+      this.currentTheme = state.theme;
+    } else {
+      this.applyTheme(state.theme, 'init');
     }
     
-    // Listen for system theme changes
-    if (this.options.autoDetectPreference) {
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (!localStorage.getItem(this.options.storageKey)) {
-          this.setTheme(e.matches ? 'dark' : 'light');
-        }
-      });
+    // Re-evaluate the theme while following the system
+    this.listen(this.colorSchemeQuery, 'change', () => {
+      if (this.preference === 'system') {
+        this.applyTheme(this.resolveTheme('system'), 'system');
+      }
+    });
+  }
+  
+  /**
+   * Check whether a value can be used as a preference
+   * @param {string} preference - 'system' or a registered theme name
+   */
+  isValidPreference(preference) {
+    return preference === 'system' || this.hasTheme(preference);
+  }
+  
+  /**
+   * Resolve a preference to the theme it displays
+   * @param {string} preference - 'system' or a registered theme name
+   * @returns {string} Theme name
+   */
+  resolveTheme(preference) {
+    if (preference !== 'system') return preference;
+    
+    const query = this.colorSchemeQuery || window.matchMedia('(prefers-color-scheme: dark)');
+    return query.matches ? 'dark' : 'light';
+  }
+  
+  /**
+   * Set and save the theme preference
+   * @param {string} preference - 'light', 'dark', any registered theme, or 'system' to follow the OS
+   * @returns {boolean} Whether the preference was applied
+   */
+  setPreference(preference) {
+    if (!this.isValidPreference(preference)) {
+      console.warn(`Theme "${preference}" is not registered`);
+      return false;
+    }
+    
+    this.preference = preference;
+    this.savePreference(preference);
+    
+    const applied = this.applyTheme(this.resolveTheme(preference), 'user');
+    this.sync.broadcast(preference);
+    
+    return applied;
+  }
+  
+  /**
+   * Apply a preference received from another tab or frame
+   * @param {string} preference - Received preference
+   * @param {string} source - 'tab' or 'frame'
+   * @returns {boolean} Whether the preference was applied
+   */
+  receivePreference(preference, source) {
+    if (!this.isValidPreference(preference)) return false;
+    
+    this.preference = preference;
+    
+    // Other tabs share this storage, frames on another origin do not
+    if (source === 'frame') {
+      this.savePreference(preference);
+    }
+    
+    return this.applyTheme(this.resolveTheme(preference), source);
+  }
+  
+  /**
+   * Read the preference from storage
+   * @returns {string|null} The stored preference, or null if none is stored or storage fails
+   */
+  readPreference() {
+    try {
+      return this.storage.get(this.options.storageKey);
+    } catch (error) {
+      console.warn('Could not read the theme preference', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Write the preference to storage. Failures are logged and otherwise ignored,
+   * so the theme still applies for the current page.
+   * @param {string} preference - Preference to save
+   */
+  savePreference(preference) {
+    try {
+      this.storage.set(this.options.storageKey, preference);
+    } catch (error) {
+      console.warn('Could not save the theme preference', error);
+    }
+  }
+  
+  /**
+   * Get the saved theme preference
+   * @returns {string} 'system' or a theme name
+   */
+  getPreference() {
+    return this.preference;
+  }
+  
+  /**
+   * Restore the saved motion policy, or the motion option when none is saved
+   */
+  initMotion() {
+    let saved = null;
+    
+    try {
+      saved = this.storage.get(this.options.motionStorageKey);
+    } catch (error) {
+      console.warn('Could not read the motion policy', error);
+    }
+    
+    const policy = ['system', 'full', 'reduced', 'none'].includes(saved) ? saved : this.options.motion;
+    
+    if (AnimationUtils.setMotionPolicy(policy)) {
+      this.applyMotion(policy);
+    }
+  }
+  
+  /**
+   * Set and save the motion policy of the page's animations and transitions
+   * @param {string} policy - 'full', 'reduced', 'none', or 'system' to follow prefers-reduced-motion
+   * @returns {boolean} Whether the policy was applied
+   */
+  setMotion(policy) {
+    if (this.scoped) {
+      console.warn('The motion policy is set by the page instance');
+      return false;
+    }
+    
+    if (!AnimationUtils.setMotionPolicy(policy)) return false;
+    
+    try {
+      this.storage.set(this.options.motionStorageKey, policy);
+    } catch (error) {
+      console.warn('Could not save the motion policy', error);
+    }
+    
+    this.applyMotion(policy);
+    
+    return true;
+  }
+  
+  /**
+   * Get the motion policy as set
+   * @returns {string} 'system', 'full', 'reduced' or 'none'
+   */
+  getMotion() {
+    return AnimationUtils.getMotionPreference();
+  }
+  
+  /**
+   * Expose the motion policy to the stylesheet through data-motion
+   * @param {string} policy - Motion policy
+   */
+  applyMotion(policy) {
+    if (policy === 'system') {
+      // The prefers-reduced-motion media query applies
+      this.root.removeAttribute('data-motion');
+    } else {
+      this.root.setAttribute('data-motion', policy);
+    }
+  }
+  
+  /**
+   * Register a theme so it can be activated with setTheme()
+   * @param {string} name - Theme name, used as the data-theme value
+   * @param {object} tokens - Token overrides, e.g. { 'color-primary-600': '#000' }
+   * @param {object} options - Theme options
+   * @param {string} options.colorScheme - 'light' or 'dark', controls the dark class
+   * @returns {boolean} Whether the theme was registered
+   */
+  registerTheme(name, tokens = {}, options = {}) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/i.test(name)) {
+      console.warn(`Invalid theme name "${name}"`);
+      return false;
+    }
+    
+    this.themes.set(name, {
+      name,
+      tokens: { ...tokens },
+      colorScheme: options.colorScheme === 'dark' ? 'dark' : 'light'
+    });
+    
+    // Theme rules are written after other rules so their tokens take precedence
+    this.tokens.defineRule(`[data-theme="${name}"]`, tokens, {
+      id: `theme-${name}`,
+      priority: 1
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Check whether a theme is registered
+   * @param {string} name - Theme name
+   */
+  hasTheme(name) {
+    return this.themes.has(name);
+  }
+  
+  /**
+   * Get the color scheme of every registered theme
+   * @returns {object} Map of theme name to 'light' or 'dark'
+   */
+  getColorSchemes() {
+    return Array.from(this.themes.values()).reduce((schemes, theme) => {
+      schemes[theme.name] = theme.colorScheme;
+      return schemes;
+    }, {});
+  }
+  
+  /**
+   * Get the names of all registered themes
+   * @returns {string[]} Theme names in registration order
+   */
+  listThemes() {
+    return Array.from(this.themes.keys());
+  }
+  
+  /**
+   * Set the order toggleTheme() cycles through
+   * @param {string[]} names - Registered theme names, may include 'system'
+   * @returns {boolean} Whether the cycle was accepted
+   */
+  setThemeCycle(names) {
+    const unknown = names.filter(name => !this.isValidPreference(name));
+    
+    if (unknown.length > 0) {
+      console.warn(`Unknown theme(s) in cycle: ${unknown.join(', ')}`);
+      return false;
     }
+    
+    this.options.themeCycle = [...names];
+    return true;
   }
   
   /**
-   * Set the theme
-   * @param {string} theme - 'light' or 'dark'
+   * Get the order toggleTheme() cycles through, by default every registered
+   * theme followed by 'system', so the toggle can return to the OS setting
+   * @returns {string[]} Theme names and 'system'
+   */
+  getThemeCycle() {
+    return this.options.themeCycle || [...this.listThemes(), 'system'];
+  }
+  
+  /**
+   * Set the theme and save it as the preference
+   * @param {string} theme - Name of a registered theme, or 'system'
+   * @returns {boolean} Whether the theme was applied
    */
   setTheme(theme) {
+    return this.setPreference(theme);
+  }
+  
+  /**
+   * Apply a theme to the root element without changing the preference
+   * @param {string} theme - Name of a registered theme
+   * @param {string} source - What caused the change: 'user', 'system', 'init', 'tab' or 'frame'
+   * @returns {boolean} Whether the theme was applied
+   */
+  applyTheme(theme, source = 'user') {
+    const config = this.themes.get(theme);
+    
+    if (!config) {
+      console.warn(`Theme "${theme}" is not registered`);
+      return false;
+    }
+    
     this.currentTheme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
-    document.documentElement.classList.toggle('dark', theme === 'dark');
+    this.setThemeAttributes(this.root, config);
+    this.root.setAttribute('data-theme-preference', this.preference);
     
-    localStorage.setItem(this.options.storageKey, theme);
+    // Dispatch custom event, on the root element for scoped instances
+    const target = this.scoped ? this.root : window;
+    target.dispatchEvent(new CustomEvent('themeChanged', { 
+      detail: { theme, colorScheme: config.colorScheme, preference: this.preference, source } 
+    }));
     
-    // Dispatch custom event
-    window.dispatchEvent(new CustomEvent('themeChanged', { 
-      detail: { theme } 
+    if (this.options.devMode) {
+      this.warnContrastFailures(theme);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Apply a theme to a single subtree. The preference is not saved or synced,
+   * and themeChanged is dispatched on the element instead of window.
+   * @param {HTMLElement} element - Root of the subtree
+   * @param {string|null} theme - Name of a registered theme, or null to inherit again
+   * @returns {boolean} Whether the theme was applied
+   */
+  applyTo(element, theme) {
+    const config = theme === null ? null : this.themes.get(theme);
+    
+    if (theme !== null && !config) {
+      console.warn(`Theme "${theme}" is not registered`);
+      return false;
+    }
+    
+    if (config) {
+      this.setThemeAttributes(element, config);
+    } else {
+      element.removeAttribute('data-theme');
+      element.classList.remove('light', 'dark');
+    }
+    
+    element.dispatchEvent(new CustomEvent('themeChanged', {
+      detail: { theme, colorScheme: config ? config.colorScheme : null, preference: null, source: 'scope' }
     }));
+    
+    return true;
+  }
+  
+  /**
+   * Set the theme attribute and color scheme class on an element
+   * @param {HTMLElement} element - Element to theme
+   * @param {object} config - Registered theme
+   */
+  setThemeAttributes(element, config) {
+    element.setAttribute('data-theme', config.name);
+    
+    // The scheme class lets a light theme nested in a dark one reset the palette
+    element.classList.toggle('dark', config.colorScheme === 'dark');
+    element.classList.toggle('light', config.colorScheme === 'light');
   }
   
   /**
-   * Toggle between light and dark themes
+   * Move to the next preference in the cycle
+   * @param {string[]} cycle - Optional order, defaults to getThemeCycle()
    */
-  toggleTheme() {
-    const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-    this.setTheme(newTheme);
+  toggleTheme(cycle = this.getThemeCycle()) {
+    const names = cycle.filter(name => this.isValidPreference(name));
+    if (names.length === 0) return;
+    
+    // Fall back to the displayed theme when the preference is not in the cycle
+    let index = names.indexOf(this.preference);
+    if (index === -1) {
+      index = names.indexOf(this.currentTheme);
+    }
+    
+    this.setPreference(names[(index + 1) % names.length]);
   }
   
   /**
-   * Get current theme
+   * Get the displayed theme, with 'system' resolved to 'light' or 'dark'
    */
   getTheme() {
     return this.currentTheme;
   }
   
+  /**
+   * Listen for the theme changes of this instance, on window or on the scoped root
+   * @param {function} callback - Called with the themeChanged detail
+   * @returns {function} Removes the listener
+   */
+  onThemeChange(callback) {
+    const target = this.scoped ? this.root : window;
+    const handler = (e) => callback(e.detail);
+    
+    target.addEventListener('themeChanged', handler);
+    return () => target.removeEventListener('themeChanged', handler);
+  }
+  
+  /**
+   * Build the inline <head> script that applies the saved theme before first paint
+   * @param {object} options - storageKey, storage, autoDetectPreference and themes (name to color scheme)
+   * @returns {string} JavaScript source, without <script> tags
+   */
+  static getBootstrapScript(options = {}) {
+    return getBootstrapScript(options);
+  }
+  
+  /**
+   * Resolve the initial theme on the server from the theme cookie
+   * @param {string} cookies - Cookie request header, or the raw cookie value
+   * @param {object} options - Same options as getBootstrapScript(), plus prefersDark
+   * @returns {object} { preference, theme, colorScheme, attributes }
+   */
+  static resolveServerTheme(cookies, options = {}) {
+    return resolveServerTheme(cookies, options);
+  }
+  
+  /**
+   * Read a design token
+   * @param {string} name - Token name, e.g. 'color-primary-500'
+   * @param {HTMLElement} element - Element to resolve the token on, defaults to the root element
+   * @returns {string} The computed token value
+   */
+  getToken(name, element = this.root) {
+    return this.tokens.get(name, element);
+  }
+  
+  /**
+   * Override design tokens at runtime
+   * @param {object} tokens - Map of token names to values
+   * @param {HTMLElement} element - Element to scope the overrides to, defaults to the root element
+   */
+  setTokens(tokens, element = this.root) {
+    this.tokens.set(tokens, element);
+  }
+  
+  /**
+   * Remove runtime token overrides
+   * @param {string[]|null} names - Tokens to reset, or null to reset all
+   * @param {HTMLElement} element - Element the overrides were set on, defaults to the root element
+   */
+  resetTokens(names = null, element = this.root) {
+    this.tokens.reset(names, element);
+  }
+  
+  /**
+   * Generate a color family from a single brand color and apply it live,
+   * with an inverted scale for dark mode. A scoped instance only repaints its subtree.
+   * @param {string} color - Seed color, e.g. '#7c3aed'
+   * @param {string} family - Color family to replace, e.g. 'primary' or 'secondary'
+   * @returns {object|null} The generated light scale, or null if the color is invalid
+   */
+  setBrandColor(color, family = 'primary') {
+    const scale = ColorUtils.generateScale(color);
+    
+    if (!scale) {
+      console.warn(`Invalid brand color "${color}"`);
+      return null;
+    }
+    
+    const toTokens = shades => Object.entries(shades).reduce((tokens, [shade, value]) => {
+      tokens[`color-${family}-${shade}`] = value;
+      return tokens;
+    }, {});
+    
+    const scope = this.scoped ? `[data-theme-scope="${this.scopeId}"]` : null;
+    const lightSelector = scope
+      ? `${scope}, ${scope} .light, ${scope} [data-theme="light"]`
+      : ':root, .light, [data-theme="light"]';
+    const darkSelector = scope
+      ? `${scope}.dark, ${scope} .dark, ${scope} [data-theme="dark"]`
+      : '.dark, [data-theme="dark"]';
+    
+    this.tokens.defineRule(lightSelector, toTokens(scale), {
+      id: `brand-${family}`
+    });
+    this.tokens.defineRule(darkSelector, toTokens(ColorUtils.invertScale(scale)), {
+      id: `brand-${family}-dark`
+    });
+    
+    return scale;
+  }
+  
+  /**
+   * Restore the default colors of a family replaced by setBrandColor()
+   * @param {string} family - Color family, e.g. 'primary'
+   */
+  resetBrandColor(family = 'primary') {
+    this.tokens.defineRule(null, null, { id: `brand-${family}` });
+    this.tokens.defineRule(null, null, { id: `brand-${family}-dark` });
+  }
+  
+  /**
+   * Check the contrast of the token pairs used by the components
+   * @param {object} options - Audit options
+   * @param {string[]} options.themes - Themes to audit, defaults to every registered theme
+   * @param {number} options.minRatio - Minimum contrast ratio, defaults to 4.5 (WCAG AA)
+   * @returns {object} Report with per-theme results and a flat list of failures
+   */
+  auditContrast(options = {}) {
+    const { themes = this.listThemes(), ...auditOptions } = options;
+    const audit = new ContrastAudit(auditOptions);
+    
+    const report = {
+      passed: true,
+      minRatio: audit.options.minRatio,
+      themes: {},
+      failures: [],
+      skipped: []
+    };
+    
+    themes.forEach(name => {
+      const config = this.themes.get(name);
+      
+      if (!config) {
+        console.warn(`Theme "${name}" is not registered`);
+        return;
+      }
+      
+      let results;
+      
+      if (name === this.currentTheme) {
+        results = audit.check(this.root);
+      } else {
+        // Resolve the theme's tokens on a detached scope without switching themes
+        const scope = document.createElement('div');
+        scope.setAttribute('data-theme', name);
+        scope.className = config.colorScheme;
+        scope.hidden = true;
+        document.body.appendChild(scope);
+        
+        results = audit.check(scope);
+        scope.remove();
+      }
+      
+      // Pairs with colors that could not be parsed are neither passes nor failures
+      const failures = results
+        .filter(result => result.passed === false)
+        .map(result => ({ theme: name, ...result }));
+      const skipped = results
+        .filter(result => result.skipped)
+        .map(result => ({ theme: name, ...result }));
+      
+      report.themes[name] = { passed: failures.length === 0, results };
+      report.failures.push(...failures);
+      report.skipped.push(...skipped);
+    });
+    
+    report.passed = report.failures.length === 0;
+    
+    return report;
+  }
+  
+  /**
+   * Log a console warning for every failing contrast pair of a theme
+   * @param {string} theme - Theme name
+   */
+  warnContrastFailures(theme) {
+    const { failures } = this.auditContrast({ themes: [theme] });
+    
+    failures.forEach(failure => {
+      console.warn(
+        `Low contrast in "${theme}" theme: ${failure.selector} is ${failure.ratio}:1 ` +
+        `(${failure.foreground} on ${failure.background}), expected at least ${failure.required}:1`
+      );
+    });
+  }
+  
   /**
    * Setup theme toggle functionality
    */
   setupThemeToggle() {
-    const toggleButtons = document.querySelectorAll('[data-theme-toggle]');
+    const toggleButtons = this.root.querySelectorAll('[data-theme-toggle]');
     
     toggleButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        this.toggleTheme();
+      this.listen(button, 'click', () => {
+        // Toggles inside a scoped subtree belong to that scope's instance
+        if (button.closest('[data-theme-scope]') !== (this.scoped ? this.root : null)) return;
+        
+        // data-theme-toggle="light,dark,high-contrast" overrides the cycle
+        const value = button.getAttribute('data-theme-toggle');
+        const cycle = value
+          ? value.split(',').map(name => name.trim()).filter(Boolean)
+          : this.getThemeCycle();
+        
+        this.toggleTheme(cycle);
       });
     });
   }
@@ -104,6 +794,9 @@ class UnifiedTheme {
     this.setupAlertDismissal();
     this.setupCollapseToggle();
     this.setupDropdowns();
+    this.setupFormValidation();
+    this.setupModals();
+    this.setupNavbars();
     this.setupTabs();
   }
   
@@ -111,10 +804,13 @@ class UnifiedTheme {
    * Setup alert dismissal functionality
    */
   setupAlertDismissal() {
-    document.addEventListener('click', (e) => {
-      if (e.target.closest('.alert-close')) {
+    this.listen(document, 'click', (e) => {
+      if (!e.defaultPrevented && e.target.closest('.alert-close')) {
         const alert = e.target.closest('.alert');
-        if (alert) {
+        
+        // Notifications, <ut-alert> and the alerts of the React and Vue
+        // bindings handle their own close button
+        if (alert && !alert.matches('.notification, ut-alert, [data-ut-managed]')) {
           this.dismissAlert(alert);
         }
       }
@@ -139,13 +835,21 @@ class UnifiedTheme {
    * Setup collapse toggle functionality
    */
   setupCollapseToggle() {
-    document.addEventListener('click', (e) => {
-      const toggle = e.target.closest('[data-collapse-toggle]');
+    // Panels already in the page get their toggles' ARIA attributes up front
+    document.querySelectorAll('[data-collapse-toggle]:not(.navbar-toggler)').forEach(toggle => {
+      const target = document.getElementById(toggle.getAttribute('data-collapse-toggle'));
+      if (target) Collapse.getOrCreate(target);
+    });
+    
+    this.listen(document, 'click', (e) => {
+      // Navbar togglers are handled by their Navbar controller
+      const toggle = e.target.closest('[data-collapse-toggle]:not(.navbar-toggler)');
       if (toggle) {
         const targetId = toggle.getAttribute('data-collapse-toggle');
         const target = document.getElementById(targetId);
         
         if (target) {
+          e.preventDefault();
           this.toggleCollapse(target);
         }
       }
@@ -155,73 +859,53 @@ class UnifiedTheme {
   /**
    * Toggle collapse state of an element
    * @param {HTMLElement} element - The element to collapse/expand
+   * @returns {Promise<boolean>} Resolves once the transition ends
    */
   toggleCollapse(element) {
-    const isCollapsed = element.style.display === 'none' || 
-                       element.classList.contains('collapsed');
-    
-    if (isCollapsed) {
-      element.style.display = 'block';
-      element.classList.remove('collapsed');
-      element.classList.add('collapsing');
-      
-      // Force reflow
-      element.offsetHeight;
-      
-      element.style.height = element.scrollHeight + 'px';
-      
-      setTimeout(() => {
-        element.classList.remove('collapsing');
-        element.style.height = '';
-      }, 300);
-    } else {
-      element.style.height = element.scrollHeight + 'px';
-      element.classList.add('collapsing');
-      
-      // Force reflow
-      element.offsetHeight;
-      
-      element.style.height = '0';
-      
-      setTimeout(() => {
-        element.style.display = 'none';
-        element.classList.remove('collapsing');
-        element.classList.add('collapsed');
-        element.style.height = '';
-      }, 300);
-    }
+    return Collapse.getOrCreate(element).toggle();
   }
   
   /**
    * Setup dropdown functionality
    */
   setupDropdowns() {
-    document.addEventListener('click', (e) => {
-      const dropdown = e.target.closest('[data-dropdown]');
+    // <ut-dropdown> elements handle their own events
+    this.listen(document, 'click', (e) => {
+      const dropdown = this.getDropdown(e.target);
       
-      if (dropdown) {
-        e.preventDefault();
-        this.toggleDropdown(dropdown);
-      } else {
-        // Close all dropdowns when clicking outside
-        this.closeAllDropdowns();
+      if (dropdown && dropdown.element.localName !== 'ut-dropdown') {
+        dropdown.handleClick(e);
+      }
+    });
+    
+    this.listen(document, 'keydown', (e) => {
+      const dropdown = this.getDropdown(e.target);
+      
+      if (dropdown && dropdown.element.localName !== 'ut-dropdown') {
+        dropdown.handleKeydown(e);
       }
     });
   }
   
+  /**
+   * Get the dropdown controller for an element inside a dropdown
+   * @param {HTMLElement} element - Event target
+   * @returns {Dropdown|null} The controller, or null outside dropdowns
+   */
+  getDropdown(element) {
+    const dropdown = element.closest && element.closest('[data-dropdown]');
+    return dropdown ? Dropdown.getOrCreate(dropdown) : null;
+  }
+  
   /**
    * Toggle dropdown state
-   * @param {HTMLElement} dropdown - The dropdown trigger element
+   * @param {HTMLElement} dropdown - The dropdown element, or an element inside it
    */
   toggleDropdown(dropdown) {
-    const isOpen = dropdown.classList.contains('open');
+    const controller = this.getDropdown(dropdown);
     
-    // Close all other dropdowns
-    this.closeAllDropdowns();
-    
-    if (!isOpen) {
-      dropdown.classList.add('open');
-      dropdown.setAttribute('aria-expanded', 'true');
+    if (controller) {
+      controller.toggle();
     }
   }
   
@@ -229,61 +913,138 @@ class UnifiedTheme {
    * Close all open dropdowns
    */
   closeAllDropdowns() {
-    const openDropdowns = document.querySelectorAll('[data-dropdown].open');
-    
-    openDropdowns.forEach(dropdown => {
-      dropdown.classList.remove('open');
-      dropdown.setAttribute('aria-expanded', 'false');
+    Dropdown.hideAll();
+  }
+  
+  /**
+   * Setup validation for forms with [data-validate]
+   */
+  setupFormValidation() {
+    document.querySelectorAll('form[data-validate]').forEach(form => {
+      this.formValidators.push(FormValidator.getOrCreate(form));
     });
   }
   
   /**
-   * Setup tab functionality
+   * Setup modal triggers, close buttons and backdrop dismissal
    */
-  setupTabs() {
-    document.addEventListener('click', (e) => {
-      const tab = e.target.closest('[data-tab]');
+  setupModals() {
+    this.listen(document, 'click', (e) => {
+      const trigger = e.target.closest('[data-modal-open]');
       
-      if (tab) {
+      if (trigger) {
         e.preventDefault();
-        this.switchTab(tab);
+        this.openModal(trigger.getAttribute('data-modal-open'));
+        return;
+      }
+      
+      const modal = e.target.closest('.modal');
+      
+      if (modal) {
+        Modal.getOrCreate(modal).handleClick(e);
       }
     });
   }
   
   /**
-   * Switch to a specific tab
-   * @param {HTMLElement} tab - The tab element to switch to
+   * Open a modal on top of any open modals
+   * @param {string} id - Id of the modal element
+   * @returns {boolean} Whether the modal was opened
    */
-  switchTab(tab) {
-    const targetId = tab.getAttribute('data-tab');
-    const tabGroup = tab.closest('[data-tab-group]');
+  openModal(id) {
+    const element = document.getElementById(id);
+    
+    if (!element) {
+      console.warn(`Modal "${id}" not found`);
+      return false;
+    }
     
-    if (!tabGroup) return;
+    return Modal.getOrCreate(element).show();
+  }
+  
+  /**
+   * Close a modal
+   * @param {string} id - Id of the modal element, defaults to the topmost modal
+   * @returns {boolean} Whether a modal was closed
+   */
+  closeModal(id = null) {
+    const element = id ? document.getElementById(id) : null;
+    const modal = element ? Modal.getOrCreate(element) : Modal.getTop();
     
-    // Remove active class from all tabs in the group
-    const tabs = tabGroup.querySelectorAll('[data-tab]');
-    tabs.forEach(t => {
-      t.classList.remove('active');
-      t.setAttribute('aria-selected', 'false');
+    return modal ? modal.hide() : false;
+  }
+  
+  /**
+   * Setup responsive navbars with a toggler or the hide-on-scroll mode
+   */
+  setupNavbars() {
+    document.querySelectorAll('.navbar').forEach(element => {
+      if (element.querySelector('.navbar-toggler') || element.hasAttribute('data-navbar-hide-on-scroll')) {
+        this.navbars.push(new Navbar(element));
+      }
+    });
+  }
+  
+  /**
+   * Get the controller of a navbar set up by this instance
+   * @param {HTMLElement} element - .navbar element
+   * @returns {Navbar|null} The controller
+   */
+  getNavbar(element) {
+    return this.navbars.find(navbar => navbar.element === element) || null;
+  }
+  
+  /**
+   * Setup tab functionality
+   */
+  setupTabs() {
+    // Wire up roles and the initial selection before the first interaction
+    document.querySelectorAll('[data-tab-group]').forEach(group => Tabs.getOrCreate(group));
+    Tabs.selectFromHash();
+    
+    // <ut-tabs> elements handle their own events
+    this.listen(document, 'click', (e) => {
+      const tabs = this.getTabs(e.target);
+      
+      if (tabs && tabs.element.localName !== 'ut-tabs') {
+        tabs.handleClick(e);
+      }
     });
     
-    // Add active class to clicked tab
-    tab.classList.add('active');
-    tab.setAttribute('aria-selected', 'true');
+    this.listen(document, 'keydown', (e) => {
+      const tabs = this.getTabs(e.target);
+      
+      if (tabs && tabs.element.localName !== 'ut-tabs') {
+        tabs.handleKeydown(e);
+      }
+    });
     
-    // Hide all tab panels
-    const panels = document.querySelectorAll('[data-tab-panel]');
-    panels.forEach(panel => {
-      panel.style.display = 'none';
-      panel.setAttribute('aria-hidden', 'true');
+    this.listen(window, 'hashchange', () => {
+      Tabs.selectFromHash();
     });
+  }
+  
+  /**
+   * Get the tabs controller for a tab element
+   * @param {HTMLElement} element - Event target
+   * @returns {Tabs|null} The controller, or null outside tabs
+   */
+  getTabs(element) {
+    const tab = element.closest && element.closest('[data-tab]');
+    const group = tab && tab.closest('[data-tab-group]');
     
-    // Show target panel
-    const targetPanel = document.getElementById(targetId);
-    if (targetPanel) {
-      targetPanel.style.display = 'block';
-      targetPanel.setAttribute('aria-hidden', 'false');
+    return group ? Tabs.getOrCreate(group) : null;
+  }
+  
+  /**
+   * Switch to a specific tab
+   * @param {HTMLElement} tab - The tab element to switch to
+   */
+  switchTab(tab) {
+    const tabs = this.getTabs(tab);
+    
+    if (tabs) {
+      tabs.select(tab);
     }
   }
   
@@ -304,52 +1065,11 @@ class UnifiedTheme {
   /**
    * Utility method to create notifications
    * @param {string} message - The notification message
-   * @param {object} options - Notification options
+   * @param {object} options - Notification options, see NotificationManager.notify()
+   * @returns {HTMLElement} The notification element, for notify.update() and notify.dismiss()
    */
   notify(message, options = {}) {
-    const defaults = {
-      type: 'info',
-      duration: 5000,
-      position: 'top-right',
-      dismissible: true
-    };
-    
-    const config = { ...defaults, ...options };
-    
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `alert alert-${config.type} notification`;
-    
-    // Safely add content
-    const messageSpan = document.createElement('span');
-    messageSpan.textContent = message;
-    notification.appendChild(messageSpan);
-    
-    if (config.dismissible) {
-      const closeButton = document.createElement('button');
-      closeButton.className = 'alert-close';
-      closeButton.setAttribute('aria-label', 'Close');
-      closeButton.innerHTML = '&times;';
-      notification.appendChild(closeButton);
-    }
-    
-    // Add positioning classes
-    notification.classList.add(`notification-${config.position}`);
-    
-    // Add to DOM
-    const container = this.getNotificationContainer(config.position);
-    container.appendChild(notification);
-    
-    // Auto dismiss
-    if (config.duration > 0) {
-      setTimeout(() => {
-        if (notification.parentNode) {
-          this.dismissAlert(notification);
-        }
-      }, config.duration);
-    }
-    
-    return notification;
+    return this.notifications.notify(message, options);
   }
   
   /**
@@ -357,29 +1077,10 @@ class UnifiedTheme {
    * @param {string} position - The position for the container
    */
   getNotificationContainer(position) {
-    const containerId = `notifications-${position}`;
-    let container = document.getElementById(containerId);
-    
-    if (!container) {
-      container = document.createElement('div');
-      container.id = containerId;
-      container.className = `notifications notifications-${position}`;
-      document.body.appendChild(container);
-    }
-    
-    return container;
+    return this.notifications.getContainer(position);
   }
 }
 
-// Auto-initialize if DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    window.unifiedTheme = new UnifiedTheme();
-  });
-} else {
-  window.unifiedTheme = new UnifiedTheme();
-}
-
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = UnifiedTheme;
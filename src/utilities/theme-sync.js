@@ -0,0 +1,196 @@
+/**
+ * Unified Theme - Theme Sync
+ * Keeps the theme preference in step across tabs and, opt-in, across frames
+ */
+
+// Followed by the storage key, so apps with their own key do not sync each other
+const CHANNEL_PREFIX = 'unified-theme:';
+const MESSAGE_PREFERENCE = 'unified-theme:preference';
+const MESSAGE_REQUEST = 'unified-theme:request';
+
+class ThemeSync {
+  /**
+   * @param {UnifiedTheme} manager - Theme manager to keep in sync
+   * @param {object} options - Sync options
+   * @param {boolean} options.tabs - Sync with other tabs of the same origin
+   * @param {boolean} options.frames - Sync with parent and child frames through postMessage
+   * @param {string[]} options.frameOrigins - Origins allowed to exchange messages, '*' allows any
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.options = {
+      tabs: true,
+      frames: false,
+      frameOrigins: [window.location.origin],
+      ...options
+    };
+    
+    this.channel = null;
+    this.handleStorage = this.handleStorage.bind(this);
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+  
+  /**
+   * Start listening for changes from other tabs and frames
+   */
+  connect() {
+    if (this.options.tabs) {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.channel = new BroadcastChannel(CHANNEL_PREFIX + this.manager.options.storageKey);
+        this.channel.onmessage = (e) => {
+          if (e.data && e.data.type === MESSAGE_PREFERENCE) {
+            this.receive(e.data.preference, 'tab');
+          }
+        };
+      } else {
+        // Storage events only fire for localStorage, in other tabs
+        window.addEventListener('storage', this.handleStorage);
+      }
+    }
+    
+    if (this.options.frames) {
+      window.addEventListener('message', this.handleMessage);
+      
+      // Ask the parent frame for its preference
+      if (window.parent !== window) {
+        this.postToParent({ type: MESSAGE_REQUEST });
+      }
+    }
+  }
+  
+  /**
+   * Stop listening and close the broadcast channel
+   */
+  disconnect() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    
+    window.removeEventListener('storage', this.handleStorage);
+    window.removeEventListener('message', this.handleMessage);
+  }
+  
+  /**
+   * Announce a local preference change
+   * @param {string} preference - New preference
+   * @param {Window} exclude - Frame that should not receive the message, e.g. the one it came from
+   */
+  broadcast(preference, exclude = null) {
+    const message = { type: MESSAGE_PREFERENCE, preference };
+    
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+    
+    if (this.options.frames) {
+      if (window.parent !== window && window.parent !== exclude) {
+        this.postToParent(message);
+      }
+      
+      this.postToChildren(message, exclude);
+    }
+  }
+  
+  /**
+   * Apply a preference received from elsewhere
+   * @param {string} preference - Received preference
+   * @param {string} source - 'tab' or 'frame'
+   * @param {Window} sourceWindow - Frame the message came from
+   */
+  receive(preference, source, sourceWindow = null) {
+    if (preference === this.manager.getPreference()) return;
+    
+    if (this.manager.receivePreference(preference, source)) {
+      // Tabs share storage and all receive the broadcast themselves,
+      // so only pass the change on to frames
+      if (source === 'tab') {
+        if (this.options.frames) this.postToChildren({ type: MESSAGE_PREFERENCE, preference });
+      } else {
+        this.broadcast(preference, sourceWindow);
+      }
+    }
+  }
+  
+  /**
+   * Handle storage events from other tabs
+   * @param {StorageEvent} e - Storage event
+   */
+  handleStorage(e) {
+    if (e.key === this.manager.options.storageKey && e.newValue) {
+      this.receive(e.newValue, 'tab');
+    }
+  }
+  
+  /**
+   * Handle postMessage events from parent and child frames
+   * @param {MessageEvent} e - Message event
+   */
+  handleMessage(e) {
+    if (!this.isAllowedOrigin(e.origin) || !e.data) return;
+    
+    if (e.data.type === MESSAGE_PREFERENCE) {
+      this.receive(e.data.preference, 'frame', e.source);
+    } else if (e.data.type === MESSAGE_REQUEST && e.source) {
+      this.post(e.source, {
+        type: MESSAGE_PREFERENCE,
+        preference: this.manager.getPreference()
+      });
+    }
+  }
+  
+  /**
+   * Check whether messages from an origin are accepted
+   * @param {string} origin - Message origin
+   */
+  isAllowedOrigin(origin) {
+    const origins = this.options.frameOrigins;
+    return origins.includes('*') || origins.includes(origin);
+  }
+  
+  /**
+   * Post a message to a frame, once per allowed origin so it is only
+   * delivered if the frame's origin is allowed
+   * @param {Window} target - Frame window
+   * @param {object} message - Message data
+   */
+  post(target, message) {
+    const origins = this.options.frameOrigins.includes('*') ? ['*'] : this.options.frameOrigins;
+    
+    origins.forEach(origin => {
+      try {
+        target.postMessage(message, origin);
+      } catch (error) {
+        // The frame may have navigated away or been removed
+      }
+    });
+  }
+  
+  /**
+   * Post a message to the parent frame
+   * @param {object} message - Message data
+   */
+  postToParent(message) {
+    this.post(window.parent, message);
+  }
+  
+  /**
+   * Post a message to every child frame
+   * @param {object} message - Message data
+   * @param {Window} exclude - Frame to skip
+   */
+  postToChildren(message, exclude = null) {
+    document.querySelectorAll('iframe').forEach(iframe => {
+      if (iframe.contentWindow && iframe.contentWindow !== exclude) {
+        this.post(iframe.contentWindow, message);
+      }
+    });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeSync;
+}
+
+export default ThemeSync;
\ No newline at end of file
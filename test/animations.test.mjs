@@ -0,0 +1,423 @@
+import { controlAnimations, observers } from './dom.mjs';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AnimationUtils from '../src/utilities/animations.js';
+
+const animations = new AnimationUtils();
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Report an element entering or leaving the viewport to the observers watching it
+ * @param {HTMLElement} element - Observed element
+ * @param {boolean} isIntersecting - Whether it is in view
+ */
+function intersect(element, isIntersecting) {
+  observers
+    .filter(observer => observer.elements.has(element))
+    .forEach(observer => observer.callback([{ target: element, isIntersecting }], observer));
+}
+
+/**
+ * Get the observers watching an element
+ * @param {HTMLElement} element - Observed element
+ */
+function watching(element) {
+  return observers.filter(observer => observer.elements.has(element));
+}
+
+afterEach(() => {
+  // Without element.animate() every animation applies its end state at once
+  delete window.Element.prototype.animate;
+  document.body.innerHTML = '';
+  AnimationUtils.setMotionPolicy('system');
+  mock.timers.reset();
+});
+
+/**
+ * Create a counter element with data-counter-* attributes
+ * @param {object} attributes - Attribute names without the data-counter- prefix
+ */
+function createCounter(attributes) {
+  const element = document.createElement('span');
+  element.setAttribute('data-counter', '');
+  
+  Object.entries(attributes).forEach(([name, value]) => {
+    element.setAttribute(`data-counter-${name}`, value);
+  });
+  
+  document.body.appendChild(element);
+  return element;
+}
+
+test('the percent shorthand takes values in percent', async () => {
+  const element = createCounter({ end: '99.5', format: 'percent', locale: 'en-US' });
+  
+  await animations.updateCounter(element);
+  
+  assert.equal(element.textContent, '99.5%');
+});
+
+test('Intl percent options take fractions', async () => {
+  const element = createCounter({ end: '0.25', format: '{"style":"percent"}', locale: 'en-US' });
+  
+  await animations.updateCounter(element);
+  
+  assert.equal(element.textContent, '25%');
+});
+
+test('a handle resolves true and applies the end state once the animation finishes', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  let called = 0;
+  
+  const handle = animations.fadeOut(element, 200, () => called++);
+  
+  assert.equal(animations.getAnimation(element), handle);
+  assert.equal(element.style.display, '');
+  
+  started[0].finish();
+  
+  assert.equal(await handle, true);
+  assert.equal(element.style.display, 'none');
+  assert.equal(called, 1);
+  assert.equal(animations.getAnimation(element), null);
+});
+
+test('a cancelled handle resolves false without the end state or the callback', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  let called = 0;
+  
+  const handle = animations.fadeOut(element, 200, () => called++);
+  handle.cancel();
+  
+  assert.equal(await handle, false);
+  assert.equal(started[0].playState, 'idle');
+  assert.equal(element.style.display, '');
+  assert.equal(called, 0);
+  assert.equal(animations.getAnimation(element), null);
+});
+
+test('a new animation on the same element interrupts the running one', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  
+  const first = animations.fadeOut(element);
+  const second = animations.fadeIn(element);
+  
+  assert.equal(await first, false);
+  assert.equal(animations.getAnimation(element), second);
+  
+  started[1].finish();
+  assert.equal(await second, true);
+});
+
+test('a reversed handle restores the start state when it completes', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  element.style.display = 'none';
+  document.body.appendChild(element);
+  
+  const handle = animations.fadeIn(element);
+  
+  assert.notEqual(element.style.display, 'none');
+  
+  handle.reverse();
+  assert.equal(started[0].reversed, true);
+  started[0].finish();
+  
+  assert.equal(await handle, true);
+  assert.equal(element.style.display, 'none');
+});
+
+test('finishing a repeating animation completes it where it is', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  
+  const handle = animations.pulse(element);
+  
+  assert.equal(started[0].options.iterations, Infinity);
+  
+  handle.finish();
+  
+  assert.equal(await handle, true);
+  assert.equal(started[0].playState, 'idle');
+});
+
+test('an unknown motion policy is rejected and the current one kept', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  AnimationUtils.setMotionPolicy('none');
+  
+  assert.equal(AnimationUtils.setMotionPolicy('slow'), false);
+  assert.equal(AnimationUtils.getMotionPreference(), 'none');
+  assert.equal(warn.mock.callCount(), 1);
+  
+  warn.mock.restore();
+});
+
+test('the system policy follows prefers-reduced-motion', () => {
+  const matchMedia = window.matchMedia;
+  window.matchMedia = query => ({ ...matchMedia(query), matches: query === '(prefers-reduced-motion: reduce)' });
+  
+  assert.equal(AnimationUtils.getMotionPreference(), 'system');
+  assert.equal(AnimationUtils.getMotionPolicy(), 'reduced');
+  
+  window.matchMedia = matchMedia;
+  
+  assert.equal(AnimationUtils.getMotionPolicy(), 'full');
+});
+
+test('the reduced policy cross-fades instead of moving, and skips decorative animations', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  element.style.display = 'none';
+  document.body.appendChild(element);
+  AnimationUtils.setMotionPolicy('reduced');
+  
+  animations.slideDown(element);
+  
+  assert.deepEqual(started[0].keyframes, [{ opacity: 0 }, { opacity: 1 }]);
+  
+  assert.equal(await animations.bounce(element), true);
+  assert.equal(started.length, 1);
+});
+
+test('the none policy applies the end state at once', async () => {
+  const started = controlAnimations();
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  AnimationUtils.setMotionPolicy('none');
+  let called = 0;
+  
+  const handle = animations.fadeOut(element, 300, () => called++);
+  
+  assert.equal(started.length, 0);
+  assert.equal(handle.playState, 'finished');
+  assert.equal(element.style.display, 'none');
+  assert.equal(await handle, true);
+  assert.equal(called, 1);
+});
+
+test('sequence() starts each step once the previous one completes', async () => {
+  const started = controlAnimations();
+  const [first, second] = ['first', 'second'].map(id => {
+    const element = document.createElement('div');
+    element.id = id;
+    document.body.appendChild(element);
+    return element;
+  });
+  
+  const group = animations.sequence([
+    () => animations.fadeOut(first),
+    { element: second, animation: 'fadeOut' }
+  ]);
+  
+  assert.deepEqual(started.map(animation => animation.element.id), ['first']);
+  
+  started[0].finish();
+  await flush();
+  
+  assert.deepEqual(started.map(animation => animation.element.id), ['first', 'second']);
+  
+  started[1].finish();
+  
+  assert.equal(await group, true);
+});
+
+test('cancelling a step cancels the sequence and the steps after it', async () => {
+  const started = controlAnimations();
+  const [first, second] = [1, 2].map(() => document.body.appendChild(document.createElement('div')));
+  
+  const group = animations.sequence([
+    () => animations.fadeOut(first),
+    () => animations.fadeOut(second)
+  ]);
+  
+  animations.cancel(first);
+  
+  assert.equal(await group, false);
+  assert.equal(group.playState, 'idle');
+  assert.equal(started.length, 1);
+});
+
+test('parallel() starts every step at once and completes with the last', async () => {
+  const started = controlAnimations();
+  const elements = [1, 2].map(() => document.body.appendChild(document.createElement('div')));
+  let completed = null;
+  
+  animations.parallel(elements.map(element => () => animations.fadeOut(element))).then(value => {
+    completed = value;
+  });
+  
+  assert.equal(started.length, 2);
+  
+  started[0].finish();
+  await flush();
+  assert.equal(completed, null);
+  
+  started[1].finish();
+  await flush();
+  assert.equal(completed, true);
+});
+
+test('stagger() offsets each element from the chosen end', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const elements = [0, 1, 2, 3, 4].map(() => document.createElement('div'));
+  const order = [];
+  
+  const group = animations.stagger(elements, (element, index) => {
+    order.push(index);
+  }, { each: 100, from: 'center' });
+  
+  assert.deepEqual(order, [2]);
+  
+  mock.timers.tick(100);
+  assert.deepEqual(order, [2, 1, 3]);
+  
+  mock.timers.tick(100);
+  assert.deepEqual(order, [2, 1, 3, 0, 4]);
+  
+  animations.stagger(elements, (element, index) => {
+    order.push(index);
+  }, { each: 50, delay: 50, from: 'end' });
+  order.length = 0;
+  
+  mock.timers.tick(250);
+  assert.deepEqual(order, [4, 3, 2, 1, 0]);
+  
+  assert.equal(await group, true);
+});
+
+test('finishing a staggered group starts the elements still waiting', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const elements = [0, 1, 2].map(() => document.createElement('div'));
+  const order = [];
+  
+  const group = animations.stagger(elements, (element, index) => {
+    order.push(index);
+  }, { each: 1000 });
+  
+  group.pause();
+  mock.timers.tick(5000);
+  assert.deepEqual(order, [0]);
+  
+  group.finish();
+  
+  assert.deepEqual(order, [0, 1, 2]);
+  assert.equal(await group, true);
+});
+
+test('with the none policy staggered elements change together', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  AnimationUtils.setMotionPolicy('none');
+  const elements = [0, 1, 2].map(() => document.createElement('div'));
+  const order = [];
+  
+  animations.stagger(elements, (element, index) => {
+    order.push(index);
+  }, { each: 100 });
+  
+  assert.deepEqual(order, [0, 1, 2]);
+});
+
+test('scroll animations with the same options share one observer', () => {
+  const elements = [0, 1, 2].map(() => document.body.appendChild(document.createElement('div')));
+  const count = observers.length;
+  
+  animations.animateOnScroll(elements[0]);
+  animations.animateOnScroll(elements[1]);
+  animations.animateOnScroll(elements[2], { rootMargin: '0px 0px -100px 0px' });
+  
+  assert.equal(observers.length, count + 2);
+  assert.equal(watching(elements[0])[0], watching(elements[1])[0]);
+  assert.notEqual(watching(elements[0])[0], watching(elements[2])[0]);
+  
+  elements.forEach(element => animations.cancelOnScroll(element));
+});
+
+test('cancelOnScroll() resolves false and releases the shared observer', async () => {
+  const elements = [0, 1].map(() => document.body.appendChild(document.createElement('div')));
+  const promises = elements.map(element => animations.animateOnScroll(element, { threshold: 0.5 }));
+  const [observer] = watching(elements[0]);
+  const disconnect = mock.method(observer, 'disconnect');
+  
+  animations.cancelOnScroll(elements[0]);
+  
+  assert.equal(await promises[0], false);
+  assert.equal(observer.elements.has(elements[0]), false);
+  assert.equal(disconnect.mock.callCount(), 0);
+  
+  animations.cancelOnScroll(elements[1]);
+  
+  assert.equal(await promises[1], false);
+  assert.equal(disconnect.mock.callCount(), 1);
+  
+  // The next element with these options gets a new observer
+  animations.animateOnScroll(elements[0], { threshold: 0.5 });
+  assert.notEqual(watching(elements[0])[0], observer);
+  animations.cancelOnScroll(elements[0]);
+});
+
+test('a scroll animation runs once by default and stops observing', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const element = document.body.appendChild(document.createElement('div'));
+  element.style.display = 'none';
+  
+  const promise = animations.animateOnScroll(element, { delay: 200 });
+  intersect(element, true);
+  
+  assert.deepEqual(watching(element), []);
+  assert.equal(element.style.display, 'none');
+  
+  mock.timers.tick(200);
+  
+  assert.equal(await promise, true);
+  assert.notEqual(element.style.display, 'none');
+});
+
+test('with once: false the exit animation hides the element in place until it enters again', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const element = document.body.appendChild(document.createElement('div'));
+  
+  const promise = animations.animateOnScroll(element, { once: false, exit: 'fadeOut' });
+  intersect(element, true);
+  mock.timers.tick(0);
+  
+  assert.equal(await promise, true);
+  
+  intersect(element, false);
+  await flush();
+  
+  assert.equal(element.style.visibility, 'hidden');
+  assert.notEqual(element.style.display, 'none');
+  assert.equal(watching(element).length, 1);
+  
+  intersect(element, true);
+  mock.timers.tick(0);
+  
+  assert.equal(element.style.visibility, '');
+  assert.notEqual(element.style.display, 'none');
+  
+  animations.cancelOnScroll(element);
+});
+
+test('leaving before the delay runs out skips the animation', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const started = controlAnimations();
+  const element = document.body.appendChild(document.createElement('div'));
+  
+  animations.animateOnScroll(element, { once: false, delay: 300 });
+  intersect(element, true);
+  mock.timers.tick(100);
+  intersect(element, false);
+  mock.timers.tick(300);
+  
+  assert.equal(started.length, 0);
+  
+  animations.cancelOnScroll(element);
+});
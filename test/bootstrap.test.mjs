@@ -0,0 +1,90 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { getBootstrapScript, resolveServerTheme } from '../src/utilities/bootstrap.js';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+/**
+ * Run the bootstrap script in a fresh page, as an inline <head> script would
+ * @param {object} options - Bootstrap options
+ * @param {object} page - { localStorage, cookie, prefersDark } state of the page
+ * @returns {HTMLElement} The <html> element of the page
+ */
+function runBootstrap(options, page = {}) {
+  const { window } = new JSDOM('<!DOCTYPE html><html><head></head></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only'
+  });
+  
+  Object.entries(page.localStorage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  if (page.cookie) window.document.cookie = page.cookie;
+  window.matchMedia = query => ({ media: query, matches: Boolean(page.prefersDark) });
+  
+  window.eval(getBootstrapScript(options));
+  
+  const root = window.document.documentElement;
+  window.close();
+  
+  return root;
+}
+
+test('the bootstrap script applies a saved custom theme with its color scheme', () => {
+  const root = runBootstrap({ themes: { midnight: 'dark' } }, {
+    localStorage: { 'unified-theme-mode': 'midnight' }
+  });
+  
+  assert.equal(root.getAttribute('data-theme'), 'midnight');
+  assert.equal(root.getAttribute('data-theme-preference'), 'midnight');
+  assert.equal(root.className, 'dark');
+});
+
+test('the bootstrap script follows the system without a valid saved preference', () => {
+  const root = runBootstrap({}, {
+    localStorage: { 'unified-theme-mode': 'removed-theme' },
+    prefersDark: true
+  });
+  
+  assert.equal(root.getAttribute('data-theme'), 'dark');
+  assert.equal(root.getAttribute('data-theme-preference'), 'system');
+});
+
+test('the bootstrap script reads the preference from a cookie', () => {
+  const root = runBootstrap({ storage: 'cookie', storageKey: 'theme' }, { cookie: 'theme=dark' });
+  
+  assert.equal(root.getAttribute('data-theme'), 'dark');
+});
+
+test('the bootstrap script cannot close its <script> element', () => {
+  const script = getBootstrapScript({ storageKey: '</script><script>alert(1)</script>' });
+  
+  assert.ok(!script.includes('</script'));
+});
+
+test('resolveServerTheme() resolves the cookie header to <html> attributes', () => {
+  const state = resolveServerTheme('session=abc; unified-theme-mode=dark', { storage: 'cookie' });
+  
+  assert.deepEqual(state.attributes, {
+    'data-theme': 'dark',
+    'data-theme-preference': 'dark',
+    class: 'dark'
+  });
+  assert.equal(resolveServerTheme('', { prefersDark: true }).theme, 'dark');
+});
+
+test('the runtime adopts the bootstrapped theme without a themeChanged event', () => {
+  const root = document.documentElement;
+  root.setAttribute('data-theme', 'light');
+  
+  let changes = 0;
+  const count = () => changes++;
+  window.addEventListener('themeChanged', count);
+  
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  
+  assert.equal(theme.getTheme(), 'light');
+  assert.equal(changes, 0);
+  
+  window.removeEventListener('themeChanged', count);
+  theme.destroy();
+});
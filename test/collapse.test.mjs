@@ -0,0 +1,72 @@
+import './dom.mjs';
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Collapse from '../src/utilities/collapse.js';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+let theme;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  
+  document.body.innerHTML = `
+    <button type="button" data-collapse-toggle="shipping">Shipping</button>
+    <div id="shipping" data-collapse-parent="faq">Ships in two days.</div>
+    <button type="button" data-collapse-toggle="returns">Returns</button>
+    <div id="returns" data-collapse-parent="faq" hidden>Free for 30 days.</div>`;
+  
+  theme = new UnifiedTheme({ storage: 'memory', sync: false });
+});
+
+afterEach(() => {
+  theme.destroy();
+  mock.timers.reset();
+});
+
+const panel = id => document.getElementById(id);
+const toggle = id => document.querySelector(`[data-collapse-toggle="${id}"]`);
+
+test('toggles are linked to their panels up front', () => {
+  assert.equal(toggle('shipping').getAttribute('aria-controls'), 'shipping');
+  assert.equal(toggle('shipping').getAttribute('aria-expanded'), 'true');
+  assert.equal(toggle('returns').getAttribute('aria-expanded'), 'false');
+});
+
+test('opening a panel of an accordion closes the other panels of the group', () => {
+  toggle('returns').click();
+  
+  assert.equal(toggle('returns').getAttribute('aria-expanded'), 'true');
+  assert.equal(toggle('shipping').getAttribute('aria-expanded'), 'false');
+  
+  mock.timers.tick(350);
+  
+  assert.equal(panel('returns').hidden, false);
+  assert.equal(panel('shipping').hidden, true);
+  assert.ok(panel('shipping').classList.contains('collapsed'));
+});
+
+test('a transition reversed half-way settles in the new state', async () => {
+  const collapse = Collapse.getOrCreate(panel('returns'));
+  const hidden = [];
+  panel('returns').addEventListener('collapse:hidden', () => hidden.push('returns'));
+  
+  const showing = collapse.show();
+  mock.timers.tick(100);
+  const hiding = collapse.hide();
+  
+  assert.equal(await showing, false);
+  
+  mock.timers.tick(350);
+  
+  assert.equal(await hiding, true);
+  assert.equal(panel('returns').hidden, true);
+  assert.equal(panel('returns').classList.contains('collapsing'), false);
+  assert.deepEqual(hidden, ['returns']);
+});
+
+test('a canceled collapse:hide keeps the panel open', async () => {
+  panel('shipping').addEventListener('collapse:hide', e => e.preventDefault());
+  
+  assert.equal(await Collapse.getOrCreate(panel('shipping')).hide(), false);
+  assert.equal(panel('shipping').hidden, false);
+});
@@ -0,0 +1,35 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alertClasses, alertRole, buttonClasses, cardClasses } from '../src/utilities/component-classes.js';
+
+test('buttonClasses() defaults to a medium primary button', () => {
+  assert.deepEqual(buttonClasses(), ['btn', 'btn-primary', 'btn-md']);
+  assert.deepEqual(
+    buttonClasses({ variant: 'outline-primary', size: 'sm', disabled: true, loading: true }),
+    ['btn', 'btn-outline-primary', 'btn-sm', 'disabled', 'loading']
+  );
+});
+
+test('alertClasses() only adds the modifiers that are set', () => {
+  assert.deepEqual(alertClasses(), ['alert', 'alert-info']);
+  assert.deepEqual(
+    alertClasses({ variant: 'warning', size: 'lg', appearance: 'left-accent', dismissible: true }),
+    ['alert', 'alert-warning', 'alert-lg', 'alert-left-accent', 'alert-dismissible']
+  );
+});
+
+test('alertRole() interrupts for errors and warnings only', () => {
+  assert.equal(alertRole('error'), 'alert');
+  assert.equal(alertRole('warning'), 'alert');
+  assert.equal(alertRole('success'), 'status');
+  assert.equal(alertRole(), 'status');
+});
+
+test('cardClasses() ignores props it does not map, as the Vue components pass them all', () => {
+  assert.deepEqual(cardClasses(), ['card']);
+  assert.deepEqual(
+    cardClasses({ as: 'article', variant: 'elevated', size: 'sm', interactive: true }),
+    ['card', 'card-elevated', 'card-sm', 'card-interactive']
+  );
+});
@@ -0,0 +1,36 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ContrastAudit from '../src/utilities/contrast-audit.js';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+const pairs = [{ component: 'card', selector: '.card-title', foreground: 'test-foreground', background: 'test-background' }];
+
+test('pairs with colors that cannot be parsed are skipped, not failed', () => {
+  const element = document.createElement('div');
+  element.style.setProperty('--test-foreground', 'oklch(0.2 0.02 260)');
+  element.style.setProperty('--test-background', 'oklch(0.98 0 0)');
+  document.body.appendChild(element);
+  
+  const [result] = new ContrastAudit({ pairs }).check(element);
+  
+  assert.equal(result.skipped, true);
+  assert.equal(result.passed, null);
+  assert.equal(result.ratio, null);
+  
+  element.remove();
+});
+
+test('auditContrast() reports skipped pairs apart from failures', () => {
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false, enableDarkMode: false });
+  theme.root.style.setProperty('--test-foreground', 'lab(20 0 0)');
+  theme.root.style.setProperty('--test-background', 'lab(98 0 0)');
+  
+  const report = theme.auditContrast({ themes: ['light'], pairs });
+  
+  assert.equal(report.passed, true);
+  assert.equal(report.failures.length, 0);
+  assert.equal(report.skipped.length, 1);
+  
+  theme.destroy();
+});
@@ -0,0 +1,56 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DesignTokens from '../src/utilities/design-tokens.js';
+
+test('set() overrides tokens inline, and reset() removes only those overrides', () => {
+  const tokens = new DesignTokens({ styleId: 'tokens-inline' });
+  const element = document.createElement('div');
+  element.style.setProperty('--color-accent', 'teal');
+  document.body.appendChild(element);
+  
+  tokens.set({ 'spacing-4': '2rem', '--font-size-base': '15px' }, element);
+  
+  assert.equal(tokens.get('spacing-4', element), '2rem');
+  assert.equal(tokens.get('font-size-base', element), '15px');
+  
+  tokens.reset(['spacing-4'], element);
+  assert.equal(tokens.get('spacing-4', element), '');
+  assert.equal(tokens.get('font-size-base', element), '15px');
+  
+  tokens.reset(null, element);
+  assert.equal(tokens.get('font-size-base', element), '');
+  assert.equal(tokens.get('color-accent', element), 'teal');
+  
+  element.remove();
+});
+
+test('defineRule() writes rules in priority order and drops empty ones', () => {
+  const tokens = new DesignTokens({ styleId: 'tokens-rules' });
+  
+  tokens.defineRule('[data-theme="sepia"]', { 'color-neutral-50': '#f4ecd8' }, { priority: 1 });
+  tokens.defineRule(':root', { 'border-radius-base': '0' });
+  
+  const style = document.getElementById('tokens-rules');
+  assert.equal(style.textContent, [
+    ':root {\n  --border-radius-base: 0;\n}',
+    '[data-theme="sepia"] {\n  --color-neutral-50: #f4ecd8;\n}'
+  ].join('\n\n'));
+  
+  tokens.defineRule(':root', null);
+  assert.ok(!style.textContent.includes(':root'));
+  
+  style.remove();
+});
+
+test('rules wait for startRendering() when created with render: false', () => {
+  const tokens = new DesignTokens({ styleId: 'tokens-deferred', render: false });
+  
+  tokens.defineRule(':root', { 'spacing-4': '1.25rem' });
+  assert.equal(document.getElementById('tokens-deferred'), null);
+  
+  tokens.startRendering();
+  assert.ok(document.getElementById('tokens-deferred').textContent.includes('--spacing-4: 1.25rem;'));
+  
+  document.getElementById('tokens-deferred').remove();
+});
@@ -0,0 +1,152 @@
+/**
+ * Unified Theme - Test DOM
+ * Exposes a jsdom window as the globals the modules expect. Import it before
+ * the modules under test.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+  url: 'https://example.test/',
+  pretendToBeVisual: true
+});
+
+const { window } = dom;
+
+globalThis.window = window;
+
+// Node's own Event classes are not accepted by jsdom's dispatchEvent()
+['document', 'navigator', 'Node', 'HTMLElement', 'Element', 'Event', 'CustomEvent', 'MutationObserver', 'customElements'].forEach(name => {
+  Object.defineProperty(globalThis, name, { configurable: true, writable: true, value: window[name] });
+});
+
+globalThis.getComputedStyle = window.getComputedStyle.bind(window);
+
+// Node's BroadcastChannel would keep the process alive after a failed test
+globalThis.BroadcastChannel = undefined;
+
+// jsdom has no media queries; nothing matches
+window.matchMedia = query => ({
+  media: query,
+  matches: false,
+  addEventListener() {},
+  removeEventListener() {},
+  addListener() {},
+  removeListener() {}
+});
+
+// Every IntersectionObserver created, with the elements it watches
+export const observers = [];
+
+window.IntersectionObserver = class {
+  constructor(callback, options = {}) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    observers.push(this);
+  }
+  
+  observe(element) {
+    this.elements.add(element);
+  }
+  
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+  
+  disconnect() {
+    this.elements.clear();
+  }
+};
+
+globalThis.IntersectionObserver = window.IntersectionObserver;
+
+/**
+ * Record the keyframes passed to element.animate(), with animations that
+ * stay running until cancelled
+ * @returns {object[][]} Keyframes of each animation, in order
+ */
+export function recordAnimations() {
+  const keyframes = [];
+  
+  window.Element.prototype.animate = function (frames) {
+    keyframes.push(frames);
+    
+    return {
+      playState: 'running',
+      finished: new Promise(() => {}),
+      effect: { getComputedTiming: () => ({ endTime: 0 }) },
+      cancel() {},
+      finish() {},
+      reverse() {},
+      pause() {},
+      play() {}
+    };
+  };
+  
+  return keyframes;
+}
+
+/**
+ * Replace element.animate() with animations the test finishes or cancels itself
+ * @returns {object[]} Animations started, in order, with their element, keyframes and options
+ */
+export function controlAnimations() {
+  const started = [];
+  
+  window.Element.prototype.animate = function (keyframes, options) {
+    let resolve;
+    let reject;
+    
+    const animation = {
+      element: this,
+      keyframes,
+      options,
+      playState: 'running',
+      reversed: false,
+      finished: new Promise((onFinish, onCancel) => {
+        resolve = onFinish;
+        reject = onCancel;
+      }),
+      effect: { getComputedTiming: () => ({ endTime: options.duration * options.iterations }) },
+      cancel() {
+        if (animation.playState === 'finished') return;
+        animation.playState = 'idle';
+        reject(new window.DOMException('The animation was cancelled', 'AbortError'));
+      },
+      finish() {
+        animation.playState = 'finished';
+        resolve(animation);
+      },
+      reverse() {
+        animation.reversed = !animation.reversed;
+      },
+      pause() {
+        animation.playState = 'paused';
+      },
+      play() {
+        animation.playState = 'running';
+      }
+    };
+    
+    started.push(animation);
+    return animation;
+  };
+  
+  return started;
+}
+
+/**
+ * Dispatch a keydown as the browser would for a key press
+ * @param {string} key - Key value, e.g. 'ArrowDown' or 'a'
+ * @param {HTMLElement} target - Element receiving the key, defaults to the focused element
+ * @returns {KeyboardEvent} The event, to check defaultPrevented
+ */
+export function press(key, target = document.activeElement) {
+  const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+  target.dispatchEvent(event);
+  
+  return event;
+}
+
+export default window;
@@ -0,0 +1,117 @@
+import './dom.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { press } from './dom.mjs';
+import Dropdown from '../src/utilities/dropdown.js';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+let theme;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <div class="dropdown" data-dropdown>
+      <button type="button" data-dropdown-toggle>Actions</button>
+      <div class="dropdown-menu">
+        <button type="button" class="dropdown-item">Copy</button>
+        <button type="button" class="dropdown-item" disabled>Cut</button>
+        <button type="button" class="dropdown-item">Paste</button>
+        <button type="button" class="dropdown-item">Print</button>
+      </div>
+    </div>
+    <button type="button" id="outside">Outside</button>`;
+  
+  theme = new UnifiedTheme({ storage: 'memory', sync: false });
+});
+
+afterEach(() => {
+  theme.destroy();
+  Dropdown.hideAll();
+});
+
+const toggle = () => document.querySelector('[data-dropdown-toggle]');
+const items = () => Array.from(document.querySelectorAll('.dropdown-item'));
+
+test('the toggle and menu are linked with ARIA attributes', () => {
+  const dropdown = Dropdown.getOrCreate(document.querySelector('[data-dropdown]'));
+  const menu = document.querySelector('.dropdown-menu');
+  
+  assert.equal(toggle().getAttribute('aria-haspopup'), 'menu');
+  assert.equal(toggle().getAttribute('aria-controls'), menu.id);
+  assert.equal(menu.getAttribute('role'), 'menu');
+  assert.ok(items().every(item => item.getAttribute('role') === 'menuitem'));
+  
+  dropdown.show();
+  assert.equal(toggle().getAttribute('aria-expanded'), 'true');
+});
+
+test('arrow keys open the menu and move focus, skipping disabled items', () => {
+  const [copy, , paste, print] = items();
+  
+  press('ArrowUp', toggle());
+  assert.equal(document.activeElement, print);
+  
+  press('ArrowDown');
+  assert.equal(document.activeElement, copy);
+  
+  press('ArrowDown');
+  assert.equal(document.activeElement, paste);
+  
+  press('Home');
+  assert.equal(document.activeElement, copy);
+  
+  press('End');
+  assert.equal(document.activeElement, print);
+});
+
+test('typeahead focuses the next item starting with the typed characters', () => {
+  const [, , paste, print] = items();
+  
+  press('ArrowDown', toggle());
+  press('p');
+  assert.equal(document.activeElement, paste);
+  
+  press('p');
+  assert.equal(document.activeElement, print);
+});
+
+test('Escape closes the menu and returns focus to the toggle', () => {
+  press('ArrowDown', toggle());
+  
+  const event = press('Escape');
+  
+  assert.equal(event.defaultPrevented, true);
+  assert.equal(toggle().getAttribute('aria-expanded'), 'false');
+  assert.equal(document.activeElement, toggle());
+});
+
+test('choosing an item or clicking outside closes the menu', () => {
+  const dropdown = Dropdown.getOrCreate(document.querySelector('[data-dropdown]'));
+  
+  toggle().click();
+  assert.equal(dropdown.isOpen(), true);
+  
+  items()[0].click();
+  assert.equal(dropdown.isOpen(), false);
+  assert.equal(document.activeElement, toggle());
+  
+  toggle().click();
+  document.getElementById('outside').click();
+  assert.equal(dropdown.isOpen(), false);
+});
+
+test('the menu flips above the toggle when there is no room below', () => {
+  const dropdown = Dropdown.getOrCreate(document.querySelector('[data-dropdown]'));
+  const rect = (top, left, width, height) => () => ({
+    top, left, width, height, right: left + width, bottom: top + height
+  });
+  
+  toggle().getBoundingClientRect = rect(700, 0, 100, 30);
+  dropdown.element.getBoundingClientRect = rect(700, 0, 100, 30);
+  dropdown.menu.getBoundingClientRect = rect(0, 0, 160, 200);
+  
+  dropdown.show(null);
+  
+  assert.equal(dropdown.menu.getAttribute('data-placement'), 'top-start');
+  assert.equal(dropdown.menu.style.top, '-204px');
+  assert.equal(dropdown.menu.style.left, '8px');
+});
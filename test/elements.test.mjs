@@ -0,0 +1,154 @@
+import './dom.mjs';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import defineElements from '../src/utilities/elements.js';
+import Tabs from '../src/utilities/tabs.js';
+
+defineElements();
+
+/**
+ * Render a <ut-tabs> with two tabs and their panels
+ * @param {string} attributes - Attributes of the element
+ * @returns {HTMLElement} The element
+ */
+function renderTabs(attributes = '') {
+  document.body.innerHTML = `
+    <ut-tabs ${attributes}>
+      <div>
+        <button type="button" data-tab="one">One</button>
+        <button type="button" data-tab="two">Two</button>
+      </div>
+      <div id="one">First</div>
+      <div id="two">Second</div>
+    </ut-tabs>`;
+  
+  return document.querySelector('ut-tabs');
+}
+
+test('<ut-tabs> updates its controller in place when attributes change', () => {
+  const element = renderTabs();
+  const controller = element.controller;
+  element.select('two');
+  
+  element.setAttribute('orientation', 'vertical');
+  element.setAttribute('activation', 'manual');
+  
+  assert.equal(element.controller, controller);
+  assert.equal(controller.options.orientation, 'vertical');
+  assert.equal(controller.options.activation, 'manual');
+  assert.equal(element.querySelector('[role="tablist"]').getAttribute('aria-orientation'), 'vertical');
+  assert.equal(controller.getSelected().getAttribute('data-tab'), 'two');
+});
+
+test('<ut-tabs> disposes its controller when removed', () => {
+  const element = renderTabs();
+  const controller = element.controller;
+  
+  element.remove();
+  
+  assert.equal(element.controller, null);
+  assert.notEqual(Tabs.getOrCreate(element), controller);
+});
+
+test('<ut-tabs hash> follows the URL hash', () => {
+  const element = renderTabs('hash');
+  
+  window.location.hash = '#two';
+  window.dispatchEvent(new window.HashChangeEvent('hashchange'));
+  
+  assert.equal(element.controller.getSelected().getAttribute('data-tab'), 'two');
+  
+  window.location.hash = '';
+});
+
+test('<ut-button> maps its attributes to classes and ARIA state, keeping page classes', () => {
+  document.body.innerHTML = '<ut-button class="w-full" variant="secondary" size="lg">Save</ut-button>';
+  const button = document.querySelector('ut-button');
+  
+  assert.deepEqual([...button.classList], ['w-full', 'btn', 'btn-secondary', 'btn-lg']);
+  assert.equal(button.getAttribute('role'), 'button');
+  assert.equal(button.getAttribute('tabindex'), '0');
+  
+  button.loading = true;
+  button.setAttribute('variant', 'ghost');
+  
+  assert.deepEqual([...button.classList], ['w-full', 'btn', 'btn-ghost', 'btn-lg', 'loading']);
+  assert.equal(button.getAttribute('aria-busy'), 'true');
+  assert.equal(button.getAttribute('aria-disabled'), 'true');
+  assert.equal(button.hasAttribute('tabindex'), false);
+});
+
+test('a disabled <ut-button> does not submit its form', () => {
+  document.body.innerHTML = '<form><ut-button disabled>Send</ut-button></form>';
+  const form = document.querySelector('form');
+  const button = document.querySelector('ut-button');
+  const submit = mock.method(form, 'requestSubmit', () => {});
+  
+  button.click();
+  assert.equal(submit.mock.callCount(), 0);
+  
+  button.disabled = false;
+  button.click();
+  assert.equal(submit.mock.callCount(), 1);
+});
+
+test('<ut-alert> takes its role from the variant unless the page sets one', () => {
+  document.body.innerHTML = `
+    <ut-alert variant="error" appearance="solid">Failed</ut-alert>
+    <ut-alert role="note" variant="error">Note</ut-alert>`;
+  const [alert, note] = document.querySelectorAll('ut-alert');
+  
+  assert.deepEqual([...alert.classList], ['alert', 'alert-error', 'alert-solid']);
+  assert.equal(alert.getAttribute('role'), 'alert');
+  assert.equal(note.getAttribute('role'), 'note');
+  
+  alert.setAttribute('variant', 'success');
+  
+  assert.equal(alert.getAttribute('role'), 'status');
+});
+
+test('<ut-alert dismissible> adds a close button that dismisses it', () => {
+  document.body.innerHTML = '<ut-alert dismissible>Saved</ut-alert>';
+  const alert = document.querySelector('ut-alert');
+  const close = alert.querySelector('.alert-close');
+  
+  assert.ok(alert.classList.contains('alert-dismissible'));
+  assert.equal(close.getAttribute('aria-label'), 'Dismiss');
+  
+  alert.addEventListener('alert:dismiss', e => e.preventDefault());
+  close.click();
+  assert.equal(alert.isConnected, true);
+  
+  alert.removeAttribute('dismissible');
+  assert.equal(alert.querySelector('.alert-close'), null);
+});
+
+test('<ut-card> maps variant, size and interactive to classes', () => {
+  document.body.innerHTML = '<ut-card variant="outlined" size="sm" interactive></ut-card>';
+  const card = document.querySelector('ut-card');
+  
+  assert.deepEqual([...card.classList], ['card', 'card-outlined', 'card-sm', 'card-interactive']);
+  
+  card.removeAttribute('interactive');
+  
+  assert.deepEqual([...card.classList], ['card', 'card-outlined', 'card-sm']);
+});
+
+test('<ut-dropdown> passes its placement to the controller', () => {
+  document.body.innerHTML = `
+    <ut-dropdown placement="top-end">
+      <button type="button" data-dropdown-toggle>Menu</button>
+      <div class="dropdown-menu"><button type="button" class="dropdown-item">One</button></div>
+    </ut-dropdown>`;
+  const dropdown = document.querySelector('ut-dropdown');
+  
+  assert.ok(dropdown.classList.contains('dropdown'));
+  assert.equal(dropdown.controller.options.placement, 'top-end');
+  
+  dropdown.removeAttribute('placement');
+  
+  assert.equal(dropdown.controller.options.placement, 'bottom-start');
+  
+  dropdown.remove();
+  assert.equal(dropdown.controller, null);
+});
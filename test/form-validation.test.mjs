@@ -0,0 +1,151 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FormValidator from '../src/utilities/form-validation.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Create a validated form with one required field and a page-level
+ * submit listener that counts its calls
+ * @returns {object} { form, input, calls }
+ */
+function createForm() {
+  document.body.innerHTML = `
+    <form data-validate>
+      <input class="form-control" name="email" required>
+      <div class="form-text"></div>
+      <button type="submit">Send</button>
+    </form>`;
+  
+  const form = document.querySelector('form');
+  const calls = { count: 0 };
+  
+  // An AJAX handler as a page would add it
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    calls.count++;
+  });
+  
+  const validator = new FormValidator(form);
+  
+  return { form, input: form.querySelector('input'), calls, validator };
+}
+
+test('page submit listeners do not run for an invalid form', async () => {
+  const { form, calls, validator } = createForm();
+  
+  form.requestSubmit();
+  await tick();
+  
+  assert.equal(calls.count, 0);
+  
+  validator.dispose();
+});
+
+test('page submit listeners run once for a valid form', async () => {
+  const { form, input, calls, validator } = createForm();
+  let valid = 0;
+  form.addEventListener('form:valid', () => valid++);
+  
+  input.value = 'ada@example.com';
+  form.requestSubmit();
+  await tick();
+  
+  assert.equal(valid, 1);
+  assert.equal(calls.count, 1);
+  
+  validator.dispose();
+});
+
+test('an invalid field shows its message in the linked .form-text', async () => {
+  const { form, input, validator } = createForm();
+  const help = form.querySelector('.form-text');
+  help.textContent = 'We never share it.';
+  input.setAttribute('data-validate-message', 'Enter your email.');
+  
+  const result = await validator.validateField(input);
+  
+  assert.equal(result.valid, false);
+  assert.equal(input.getAttribute('aria-invalid'), 'true');
+  assert.ok(input.classList.contains('form-control-error'));
+  assert.equal(input.getAttribute('aria-describedby'), help.id);
+  assert.equal(help.textContent, 'Enter your email.');
+  assert.ok(help.classList.contains('form-text-error'));
+  
+  input.value = 'ada@example.com';
+  await validator.validateField(input);
+  
+  assert.equal(input.hasAttribute('aria-invalid'), false);
+  assert.ok(input.classList.contains('form-control-success'));
+  assert.equal(help.textContent, 'We never share it.');
+  
+  validator.dispose();
+});
+
+test('only the latest async rule result is shown', async () => {
+  const { input, validator } = createForm();
+  const pending = [];
+  validator.options.validators.available = value => new Promise(resolve => {
+    pending.push(() => resolve(value === 'free@example.com' || 'Taken.'));
+  });
+  input.setAttribute('data-validate-available', '');
+  
+  input.value = 'taken@example.com';
+  const first = validator.validateField(input);
+  await tick();
+  input.value = 'free@example.com';
+  const second = validator.validateField(input);
+  await tick();
+  
+  pending[1]();
+  await second;
+  pending[0]();
+  await first;
+  
+  assert.equal(input.hasAttribute('aria-invalid'), false);
+  assert.ok(input.classList.contains('form-control-success'));
+  
+  validator.dispose();
+});
+
+test('a rule returning { warning } keeps the field valid', async () => {
+  const { form, input, validator } = createForm();
+  FormValidator.register('short', value => value.length > 10 || { warning: 'That looks short.' });
+  input.setAttribute('data-validate-short', '');
+  input.value = 'a@b.co';
+  
+  assert.equal(await validator.validate(), true);
+  assert.ok(input.classList.contains('form-control-warning'));
+  assert.equal(form.querySelector('.form-text').textContent, 'That looks short.');
+  
+  validator.dispose();
+});
+
+test('an invalid submit focuses the first invalid field and dispatches form:invalid', async () => {
+  const { form, input, validator } = createForm();
+  let detail = null;
+  form.addEventListener('form:invalid', e => { detail = e.detail; });
+  
+  form.requestSubmit();
+  await tick();
+  
+  assert.equal(detail.field, input);
+  assert.equal(detail.validator, validator);
+  assert.equal(document.activeElement, input);
+  
+  validator.dispose();
+});
+
+test('resetting the form clears the validation state', async () => {
+  const { form, input, validator } = createForm();
+  await validator.validateField(input);
+  
+  form.reset();
+  
+  assert.equal(input.hasAttribute('aria-invalid'), false);
+  assert.equal(input.classList.contains('form-control-error'), false);
+  assert.equal(form.querySelector('.form-text').textContent, '');
+  
+  validator.dispose();
+});
@@ -0,0 +1,51 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { observers } from './dom.mjs';
+import { UnifiedTheme, destroy } from '../src/unified-theme.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Check whether any IntersectionObserver watches an element
+ * @param {HTMLElement} element - Element to look for
+ */
+const isObserved = element => observers.some(observer => observer.elements.has(element));
+
+test('data-animate elements rendered later are watched until destroy()', async () => {
+  const before = document.createElement('div');
+  before.setAttribute('data-animate', 'fadeIn');
+  document.body.appendChild(before);
+  await tick();
+  
+  assert.equal(isObserved(before), true);
+  
+  destroy();
+  
+  const after = document.createElement('div');
+  after.setAttribute('data-animate', 'fadeIn');
+  document.body.appendChild(after);
+  await tick();
+  
+  assert.equal(isObserved(after), false);
+});
+
+test('an instance created while the document is loading sets up its toggles once it is parsed', () => {
+  Object.defineProperty(document, 'readyState', { configurable: true, get: () => 'loading' });
+  
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  
+  const toggle = document.createElement('button');
+  toggle.setAttribute('data-theme-toggle', 'light,dark');
+  document.body.appendChild(toggle);
+  
+  delete document.readyState;
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  
+  const current = theme.getTheme();
+  toggle.click();
+  
+  assert.notEqual(theme.getTheme(), current);
+  
+  theme.destroy();
+});
@@ -0,0 +1,59 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordAnimations } from './dom.mjs';
+import Modal from '../src/utilities/modal.js';
+import Dropdown from '../src/utilities/dropdown.js';
+
+test('show() zooms the dialog in from a hidden start keyframe', () => {
+  const keyframes = recordAnimations();
+  
+  document.body.innerHTML = `
+    <div class="modal" id="modal" hidden>
+      <div class="modal-dialog"><button type="button">OK</button></div>
+    </div>`;
+  
+  const modal = new Modal(document.getElementById('modal'));
+  modal.show();
+  
+  assert.equal(keyframes.length, 1);
+  assert.deepEqual(keyframes[0][0], { opacity: 0, transform: 'scale(0.95)' });
+  assert.deepEqual(keyframes[0][1], { opacity: 1, transform: 'scale(1)' });
+  
+  modal.hide();
+});
+
+test('Escape closes an open dropdown inside the modal before the modal', () => {
+  recordAnimations();
+  
+  document.body.innerHTML = `
+    <div class="modal" id="modal" hidden>
+      <div class="modal-dialog">
+        <div class="dropdown">
+          <button type="button" data-dropdown-toggle>Menu</button>
+          <div class="dropdown-menu"><button type="button">Item</button></div>
+        </div>
+      </div>
+    </div>`;
+  
+  const modal = new Modal(document.getElementById('modal'));
+  const dropdown = new Dropdown(document.querySelector('.dropdown'));
+  
+  // Wired as the theme's delegated keydown listener does
+  dropdown.element.addEventListener('keydown', e => dropdown.handleKeydown(e));
+  modal.show();
+  dropdown.show();
+  
+  const escape = () => document.activeElement.dispatchEvent(
+    new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true })
+  );
+  
+  escape();
+  assert.equal(dropdown.isOpen(), false);
+  assert.equal(modal.isOpen(), true);
+  
+  escape();
+  assert.equal(modal.isOpen(), false);
+  
+  dropdown.dispose();
+});
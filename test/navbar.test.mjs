@@ -0,0 +1,123 @@
+import './dom.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { press } from './dom.mjs';
+import Navbar from '../src/utilities/navbar.js';
+
+let navbar;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <nav class="navbar">
+      <a class="navbar-brand" href="/">Brand</a>
+      <button class="navbar-toggler"><span class="navbar-toggler-icon"></span></button>
+      <div class="navbar-collapse">
+        <a class="nav-link" href="#docs">Docs</a>
+        <button class="nav-link dropdown-toggle" type="button">More</button>
+      </div>
+    </nav>
+    <main>Content</main>`;
+});
+
+afterEach(() => {
+  navbar.dispose();
+});
+
+const toggler = () => document.querySelector('.navbar-toggler');
+const collapse = () => document.querySelector('.navbar-collapse');
+
+test('the toggler controls the menu and the navbar is marked with its breakpoint', () => {
+  navbar = new Navbar(document.querySelector('.navbar'), { breakpoint: 'lg' });
+  
+  assert.equal(toggler().getAttribute('aria-controls'), collapse().id);
+  assert.equal(toggler().getAttribute('aria-label'), 'Toggle navigation');
+  assert.ok(navbar.element.classList.contains('navbar-expand-lg'));
+  
+  toggler().click();
+  assert.equal(toggler().getAttribute('aria-expanded'), 'true');
+  assert.ok(collapse().classList.contains('show'));
+  
+  toggler().click();
+  assert.equal(toggler().getAttribute('aria-expanded'), 'false');
+  
+  navbar.dispose();
+  assert.equal(navbar.element.classList.contains('navbar-expand-lg'), false);
+});
+
+test('a navbar without a toggler is left expanded', () => {
+  document.querySelector('.navbar-toggler').remove();
+  navbar = new Navbar(document.querySelector('.navbar'), { hideOnScroll: true });
+  
+  assert.equal(navbar.element.className, 'navbar navbar-sticky');
+});
+
+test('the open menu closes on an outside click, Escape and a link click', () => {
+  navbar = new Navbar(document.querySelector('.navbar'));
+  
+  navbar.show();
+  document.querySelector('main').click();
+  assert.equal(navbar.isOpen(), false);
+  
+  navbar.show();
+  collapse().querySelector('a').focus();
+  press('Escape');
+  assert.equal(navbar.isOpen(), false);
+  assert.equal(document.activeElement, toggler());
+  
+  navbar.show();
+  collapse().querySelector('.dropdown-toggle').click();
+  assert.equal(navbar.isOpen(), true);
+  
+  collapse().querySelector('a').click();
+  assert.equal(navbar.isOpen(), false);
+});
+
+test('growing past the breakpoint closes the menu', () => {
+  const matchMedia = window.matchMedia;
+  let listener = null;
+  
+  window.matchMedia = query => ({
+    media: query,
+    matches: false,
+    addEventListener: (type, handler) => {
+      listener = handler;
+    },
+    removeEventListener() {}
+  });
+  
+  navbar = new Navbar(document.querySelector('.navbar'));
+  window.matchMedia = matchMedia;
+  
+  navbar.show();
+  listener({ matches: true });
+  
+  assert.equal(navbar.isOpen(), false);
+});
+
+test('a canceled navbar:show keeps the menu closed', () => {
+  navbar = new Navbar(document.querySelector('.navbar'));
+  navbar.element.addEventListener('navbar:show', e => e.preventDefault());
+  
+  toggler().click();
+  
+  assert.equal(navbar.isOpen(), false);
+  assert.equal(toggler().getAttribute('aria-expanded'), 'false');
+});
+
+test('hide-on-scroll hides the navbar while scrolling down and shows it scrolling up', async () => {
+  navbar = new Navbar(document.querySelector('.navbar'), { hideOnScroll: true });
+  
+  const scrollTo = async (y) => {
+    Object.defineProperty(window, 'scrollY', { configurable: true, value: y });
+    window.dispatchEvent(new Event('scroll'));
+    await new Promise(resolve => window.requestAnimationFrame(resolve));
+  };
+  
+  await scrollTo(200);
+  assert.ok(navbar.element.classList.contains('navbar-hidden'));
+  
+  await scrollTo(150);
+  assert.equal(navbar.element.classList.contains('navbar-hidden'), false);
+  
+  await scrollTo(0);
+});
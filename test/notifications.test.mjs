@@ -0,0 +1,119 @@
+import './dom.mjs';
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import NotificationManager from '../src/utilities/notifications.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('concurrent promise() notifications with the same loading text keep their own results', async () => {
+  const manager = new NotificationManager({ duration: 0 });
+  
+  manager.promise(Promise.resolve('A'), { loading: 'Saving…', success: value => `Saved ${value}` });
+  manager.promise(Promise.resolve('B'), { loading: 'Saving…', success: value => `Saved ${value}` });
+  
+  assert.equal(manager.list().length, 2);
+  
+  await flush();
+  
+  const messages = manager.list().map(id => manager.notifications.get(id).config.message);
+  assert.deepEqual(messages, ['Saved A', 'Saved B']);
+  
+  manager.dismissAll();
+});
+
+test('update() restarts the timer only when passed a duration', () => {
+  const manager = new NotificationManager({ duration: 40 });
+  const toast = manager.notify('Uploading', { progress: 0 });
+  
+  mock.timers.tick(25);
+  manager.update(toast, { progress: 0.5 });
+  mock.timers.tick(25);
+  
+  assert.equal(manager.notifications.has(toast.id), false);
+  
+  const restarted = manager.notify('Uploading again');
+  
+  mock.timers.tick(25);
+  manager.update(restarted, { duration: 40 });
+  mock.timers.tick(25);
+  
+  assert.equal(manager.notifications.has(restarted.id), true);
+  
+  manager.dismissAll();
+});
+
+test('notify() returns the element, which update() and dismiss() accept as well as its id', () => {
+  const manager = new NotificationManager({ duration: 0 });
+  const toast = manager.notify('Saved');
+  
+  assert.ok(toast instanceof HTMLElement);
+  assert.equal(manager.notify('Saved'), toast);
+  
+  assert.equal(manager.update(toast.id, { message: 'Saved again' }), true);
+  assert.equal(toast.querySelector('.notification-message').textContent, 'Saved again');
+  
+  assert.equal(manager.dismiss(toast), true);
+  assert.deepEqual(manager.list(), []);
+});
+
+test('update() patches the notification in place', () => {
+  const manager = new NotificationManager({ duration: 1000, pauseOnHover: false });
+  const toast = manager.notify('Archived', {
+    progress: true,
+    actions: [{ label: 'Undo' }]
+  });
+  mock.timers.tick(100);
+  
+  const progress = toast.querySelector('.notification-progress');
+  const countdown = progress.firstChild.style.cssText;
+  const action = toast.querySelector('.notification-actions button');
+  action.focus();
+  mock.timers.tick(400);
+  
+  manager.update(toast, { title: 'Done', message: 'Archived 3 projects', actions: [{ label: 'Undo all' }] });
+  
+  assert.equal(toast.querySelector('.notification-progress'), progress);
+  assert.equal(toast.querySelector('.notification-actions button'), action);
+  assert.equal(action.textContent, 'Undo all');
+  assert.equal(document.activeElement, action);
+  assert.equal(toast.querySelector('.notification-title').textContent, 'Done');
+  
+  // The countdown keeps running untouched
+  assert.equal(progress.firstChild.style.cssText, countdown);
+  
+  mock.timers.tick(500);
+  assert.deepEqual(manager.list(), []);
+});
+
+test('update() moves a notification to a new position', () => {
+  const manager = new NotificationManager({ duration: 0 });
+  const toast = manager.notify('Moved');
+  mock.timers.tick(100);
+  
+  manager.update(toast, { position: 'bottom-left' });
+  
+  assert.equal(toast.parentElement.id, 'notifications-bottom-left');
+  assert.ok(toast.classList.contains('notification-bottom-left'));
+  
+  manager.dismissAll();
+});
+
+test('notifications are announced by their container only', () => {
+  const manager = new NotificationManager({ duration: 0 });
+  const toast = manager.notify('Failed', { type: 'error' });
+  mock.timers.tick(100);
+  
+  assert.equal(toast.parentElement.getAttribute('aria-live'), 'polite');
+  assert.equal(toast.hasAttribute('role'), false);
+  
+  manager.dismissAll();
+});
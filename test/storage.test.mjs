@@ -0,0 +1,89 @@
+import './dom.mjs';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WebStorageAdapter,
+  CookieStorageAdapter,
+  MemoryStorageAdapter,
+  createStorageAdapter,
+  readCookie
+} from '../src/utilities/storage.js';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+test('createStorageAdapter() resolves names and custom adapters, falling back to memory', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const custom = { get: () => null, set: () => true, remove: () => true };
+  
+  assert.ok(createStorageAdapter('localStorage') instanceof WebStorageAdapter);
+  assert.equal(createStorageAdapter('sessionStorage').type, 'sessionStorage');
+  assert.ok(createStorageAdapter('cookie') instanceof CookieStorageAdapter);
+  assert.ok(createStorageAdapter('memory') instanceof MemoryStorageAdapter);
+  assert.equal(createStorageAdapter(custom), custom);
+  
+  assert.ok(createStorageAdapter('indexedDB') instanceof MemoryStorageAdapter);
+  assert.ok(createStorageAdapter({ get() {} }) instanceof MemoryStorageAdapter);
+  assert.equal(warn.mock.callCount(), 2);
+  
+  warn.mock.restore();
+});
+
+test('the cookie adapter round-trips encoded values and expires them', () => {
+  const storage = new CookieStorageAdapter();
+  
+  assert.equal(storage.set('unified-theme-mode', 'high contrast'), true);
+  assert.equal(storage.get('unified-theme-mode'), 'high contrast');
+  assert.equal(readCookie('a=1; unified-theme-mode=dark', 'unified-theme-mode'), 'dark');
+  assert.equal(readCookie('unified-theme-mode=%E0%A4%A', 'unified-theme-mode'), null);
+  
+  storage.remove('unified-theme-mode');
+  assert.equal(storage.get('unified-theme-mode'), null);
+});
+
+test('web storage failures read as null instead of throwing', () => {
+  const storage = new WebStorageAdapter('localStorage');
+  const getItem = mock.method(window.Storage.prototype, 'getItem', () => {
+    throw new Error('SecurityError');
+  });
+  
+  assert.equal(storage.get('unified-theme-mode'), null);
+  
+  getItem.mock.restore();
+});
+
+test('the theme preference is saved to and restored from the configured adapter', () => {
+  const values = new Map([['unified-theme-mode', 'dark']]);
+  const storage = {
+    get: key => (values.has(key) ? values.get(key) : null),
+    set: (key, value) => values.set(key, value),
+    remove: key => values.delete(key)
+  };
+  
+  const theme = new UnifiedTheme({ storage, sync: false });
+  assert.equal(theme.getPreference(), 'dark');
+  
+  theme.setPreference('light');
+  assert.equal(values.get('unified-theme-mode'), 'light');
+  
+  theme.destroy();
+});
+
+test('a failing adapter still applies the theme for the page', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const storage = {
+    get: () => {
+      throw new Error('unavailable');
+    },
+    set: () => {
+      throw new Error('unavailable');
+    },
+    remove: () => true
+  };
+  
+  const theme = new UnifiedTheme({ storage, sync: false });
+  
+  assert.equal(theme.setPreference('dark'), true);
+  assert.equal(document.documentElement.getAttribute('data-theme'), 'dark');
+  
+  theme.destroy();
+  warn.mock.restore();
+});
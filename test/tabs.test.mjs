@@ -0,0 +1,119 @@
+import './dom.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { press } from './dom.mjs';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+let theme;
+
+/**
+ * Render a tab group and set up the page instance
+ * @param {string} attributes - Attributes of the group
+ * @returns {HTMLElement[]} The tabs
+ */
+function renderTabs(attributes = '') {
+  document.body.innerHTML = `
+    <div data-tab-group ${attributes}>
+      <div>
+        <button type="button" data-tab="one">One</button>
+        <button type="button" data-tab="two" disabled>Two</button>
+        <button type="button" data-tab="three">Three</button>
+      </div>
+      <div id="one">First</div>
+      <div id="two">Second</div>
+      <div id="three">
+        <div data-tab-group>
+          <div><button type="button" data-tab="inner-a">A</button><button type="button" data-tab="inner-b">B</button></div>
+          <div id="inner-a">A</div>
+          <div id="inner-b">B</div>
+        </div>
+      </div>
+    </div>`;
+  
+  theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  
+  return Array.from(document.querySelectorAll('[data-tab="one"], [data-tab="two"], [data-tab="three"]'));
+}
+
+afterEach(() => {
+  theme.destroy();
+});
+
+test('tabs and panels get their roles and the first tab is selected', () => {
+  const [one, , three] = renderTabs();
+  const panel = document.getElementById('one');
+  
+  assert.equal(one.parentElement.getAttribute('role'), 'tablist');
+  assert.equal(one.getAttribute('aria-selected'), 'true');
+  assert.equal(one.getAttribute('aria-controls'), 'one');
+  assert.equal(panel.getAttribute('role'), 'tabpanel');
+  assert.equal(panel.getAttribute('aria-labelledby'), one.id);
+  assert.equal(three.getAttribute('tabindex'), '-1');
+  assert.equal(document.getElementById('three').hidden, true);
+});
+
+test('arrow keys select the next enabled tab, wrapping around', () => {
+  const [one, , three] = renderTabs();
+  one.focus();
+  
+  press('ArrowRight');
+  assert.equal(document.activeElement, three);
+  assert.equal(three.getAttribute('aria-selected'), 'true');
+  assert.equal(document.getElementById('three').hidden, false);
+  
+  press('ArrowRight');
+  assert.equal(document.activeElement, one);
+  
+  press('End');
+  assert.equal(document.activeElement, three);
+});
+
+test('manual activation moves focus and waits for Enter to select', () => {
+  const [one, , three] = renderTabs('data-tab-activation="manual" data-tab-orientation="vertical"');
+  one.focus();
+  
+  press('ArrowRight');
+  assert.equal(document.activeElement, one);
+  
+  press('ArrowDown');
+  assert.equal(document.activeElement, three);
+  assert.equal(one.getAttribute('aria-selected'), 'true');
+  
+  press('Enter');
+  assert.equal(three.getAttribute('aria-selected'), 'true');
+});
+
+test('selecting a tab leaves nested groups alone and reports the change', () => {
+  const [one, , three] = renderTabs();
+  const group = document.querySelector('[data-tab-group]');
+  const changes = [];
+  
+  // Changes of the nested group bubble through the outer one
+  group.addEventListener('tabs:change', e => {
+    if (e.target === group) changes.push(e.detail);
+  });
+  
+  three.click();
+  
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].previousTab, one);
+  assert.equal(document.getElementById('inner-a').hidden, false);
+  assert.equal(document.getElementById('inner-b').hidden, true);
+  
+  document.querySelector('[data-tab="inner-b"]').click();
+  
+  assert.equal(changes.length, 1);
+  assert.equal(three.getAttribute('aria-selected'), 'true');
+});
+
+test('hash deep-linking selects the linked tab and writes the hash', () => {
+  window.history.replaceState(null, '', '#three');
+  const [one] = renderTabs('data-tab-hash');
+  
+  assert.equal(document.getElementById('three').hidden, false);
+  
+  one.click();
+  assert.equal(window.location.hash, '#one');
+  
+  window.history.replaceState(null, '', '/');
+});
@@ -0,0 +1,196 @@
+import './dom.mjs';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+import AnimationUtils from '../src/utilities/animations.js';
+
+test('a second page instance leaves the token rules of the active one alone', () => {
+  const active = new UnifiedTheme({
+    themes: { ocean: { tokens: { 'color-primary-500': '#0077be' } } }
+  });
+  active.setBrandColor('#e11d48');
+  
+  const style = document.getElementById('unified-theme-tokens');
+  const rules = style.textContent;
+  assert.ok(rules.includes('#0077be'));
+  
+  const warn = console.warn;
+  console.warn = () => {};
+  const refused = new UnifiedTheme();
+  console.warn = warn;
+  
+  assert.equal(refused.initialized, false);
+  assert.equal(style.textContent, rules);
+  
+  active.destroy();
+});
+
+test('a scoped instance brands its own subtree only', () => {
+  const root = document.createElement('section');
+  document.body.appendChild(root);
+  
+  const scoped = new UnifiedTheme({ root });
+  scoped.setBrandColor('#16a34a');
+  
+  const style = document.getElementById(`unified-theme-tokens-${scoped.scopeId}`);
+  const selectors = style.textContent.split('\n').filter(line => line.endsWith('{'));
+  
+  assert.equal(root.getAttribute('data-theme-scope'), scoped.scopeId);
+  assert.ok(selectors.length > 0);
+  selectors.forEach(selector => {
+    selector.slice(0, -1).split(',').forEach(part => {
+      assert.ok(part.trim().startsWith(`[data-theme-scope="${scoped.scopeId}"]`), part);
+    });
+  });
+  
+  scoped.destroy();
+  root.remove();
+});
+
+test('the default toggle cycle returns to the system preference', () => {
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  
+  assert.deepEqual(theme.getThemeCycle(), ['light', 'dark', 'system']);
+  
+  theme.setPreference('light');
+  theme.toggleTheme();
+  theme.toggleTheme();
+  
+  assert.equal(theme.getPreference(), 'system');
+  
+  theme.destroy();
+});
+
+test('alert dismissal skips prevented clicks and alerts owned by the bindings', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  document.body.innerHTML = `
+    <div class="alert" id="plain"><button class="alert-close">&times;</button></div>
+    <div class="alert" id="kept"><button class="alert-close">&times;</button></div>
+    <div class="alert" id="managed" data-ut-managed><button class="alert-close">&times;</button></div>`;
+  
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  document.getElementById('kept').addEventListener('click', e => e.preventDefault());
+  
+  document.querySelectorAll('.alert-close').forEach(button => button.click());
+  mock.timers.tick(300);
+  
+  assert.equal(document.getElementById('plain'), null);
+  assert.ok(document.getElementById('kept'));
+  assert.ok(document.getElementById('managed'));
+  
+  theme.destroy();
+  mock.timers.reset();
+});
+
+test('destroy() hands the motion policy back to the system', () => {
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false, motion: 'none' });
+  
+  assert.equal(document.documentElement.getAttribute('data-motion'), 'none');
+  assert.equal(AnimationUtils.getMotionPreference(), 'none');
+  
+  theme.destroy();
+  
+  assert.equal(document.documentElement.hasAttribute('data-motion'), false);
+  assert.equal(AnimationUtils.getMotionPreference(), 'system');
+});
+
+test('registered themes can be set, and unknown or invalid ones are refused', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const theme = new UnifiedTheme({
+    storage: 'memory',
+    sync: false,
+    themes: { midnight: { tokens: { 'color-primary-500': '#6366f1' }, colorScheme: 'dark' } }
+  });
+  
+  assert.equal(theme.registerTheme('high-contrast', { 'color-neutral-900': '#000' }), true);
+  assert.equal(theme.registerTheme('not a name'), false);
+  assert.deepEqual(theme.listThemes(), ['light', 'dark', 'midnight', 'high-contrast']);
+  
+  assert.equal(theme.setTheme('midnight'), true);
+  assert.equal(document.documentElement.getAttribute('data-theme'), 'midnight');
+  assert.ok(document.documentElement.classList.contains('dark'));
+  assert.ok(document.getElementById('unified-theme-tokens').textContent.includes('#6366f1'));
+  
+  assert.equal(theme.setTheme('sepia'), false);
+  assert.equal(theme.getTheme(), 'midnight');
+  assert.equal(warn.mock.callCount(), 2);
+  
+  theme.destroy();
+  warn.mock.restore();
+});
+
+test('toggleTheme() follows a custom cycle and rejects unknown names', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const theme = new UnifiedTheme({
+    storage: 'memory',
+    sync: false,
+    themes: { sepia: { tokens: {} } }
+  });
+  
+  assert.equal(theme.setThemeCycle(['light', 'missing']), false);
+  assert.equal(theme.setThemeCycle(['sepia', 'dark']), true);
+  
+  theme.setTheme('light');
+  theme.toggleTheme();
+  assert.equal(theme.getTheme(), 'sepia');
+  
+  theme.toggleTheme();
+  theme.toggleTheme();
+  assert.equal(theme.getTheme(), 'sepia');
+  
+  theme.destroy();
+  warn.mock.restore();
+});
+
+test('applyTo() themes a subtree and reports on it instead of window', () => {
+  const theme = new UnifiedTheme({ storage: 'memory', sync: false });
+  const panel = document.createElement('aside');
+  document.body.appendChild(panel);
+  
+  theme.setTheme('light');
+  
+  const events = [];
+  const recordPage = () => events.push('window');
+  window.addEventListener('themeChanged', recordPage);
+  panel.addEventListener('themeChanged', e => events.push(e.detail));
+  
+  assert.equal(theme.applyTo(panel, 'dark'), true);
+  assert.equal(panel.getAttribute('data-theme'), 'dark');
+  assert.ok(panel.classList.contains('dark'));
+  assert.equal(document.documentElement.getAttribute('data-theme'), 'light');
+  assert.deepEqual(events, [{ theme: 'dark', colorScheme: 'dark', preference: null, source: 'scope' }]);
+  
+  theme.applyTo(panel, null);
+  assert.equal(panel.hasAttribute('data-theme'), false);
+  assert.equal(panel.classList.contains('dark'), false);
+  
+  window.removeEventListener('themeChanged', recordPage);
+  theme.destroy();
+  panel.remove();
+});
+
+test('a scoped instance keeps its preference and toggles to its own subtree', () => {
+  document.body.innerHTML = `
+    <button type="button" data-theme-toggle id="page-toggle">Page</button>
+    <section id="widget"><button type="button" data-theme-toggle="light,dark">Widget</button></section>`;
+  
+  const root = document.getElementById('widget');
+  const page = new UnifiedTheme({ storage: 'memory', sync: false });
+  const scoped = new UnifiedTheme({ root });
+  page.setTheme('light');
+  
+  let windowEvents = 0;
+  const count = () => windowEvents++;
+  window.addEventListener('themeChanged', count);
+  
+  root.querySelector('[data-theme-toggle]').click();
+  
+  assert.equal(root.getAttribute('data-theme'), 'dark');
+  assert.equal(document.documentElement.getAttribute('data-theme'), 'light');
+  assert.equal(page.getPreference(), 'light');
+  assert.equal(windowEvents, 0);
+  
+  window.removeEventListener('themeChanged', count);
+  scoped.destroy();
+  page.destroy();
+});
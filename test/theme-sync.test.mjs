@@ -0,0 +1,36 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import UnifiedTheme from '../src/utilities/theme-manager.js';
+
+// Names of the broadcast channels opened
+const channels = [];
+
+globalThis.BroadcastChannel = class {
+  constructor(name) {
+    this.name = name;
+    channels.push(name);
+  }
+  
+  postMessage() {}
+  
+  close() {}
+};
+
+test('the broadcast channel is named after the storage key', () => {
+  const theme = new UnifiedTheme({ storageKey: 'admin-theme' });
+  
+  assert.deepEqual(channels, ['unified-theme:admin-theme']);
+  
+  theme.destroy();
+  channels.length = 0;
+});
+
+test('a preference kept per tab is not synced with other tabs', () => {
+  ['sessionStorage', 'memory'].forEach(storage => {
+    const theme = new UnifiedTheme({ storage });
+    theme.destroy();
+  });
+  
+  assert.deepEqual(channels, []);
+});
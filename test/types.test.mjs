@@ -0,0 +1,92 @@
+import './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+window.unifiedThemeConfig = { autoInit: false };
+
+const entry = await import('../src/unified-theme.js');
+const bootstrap = await import('../src/utilities/bootstrap.js');
+const elements = await import('../src/utilities/elements.js');
+
+/**
+ * Read a declaration file next to the sources
+ * @param {string} path - Path relative to src/
+ * @returns {string} File contents
+ */
+function readDeclarations(path) {
+  return readFileSync(new URL(`../src/${path}`, import.meta.url), 'utf8');
+}
+
+/**
+ * Get the values a declaration file exports: classes, functions, consts and re-exports
+ * @param {string} source - Declaration file contents
+ * @returns {Set<string>} Exported names
+ */
+function declaredValues(source) {
+  const names = new Set();
+  
+  for (const [, name] of source.matchAll(/^export (?:declare )?(?:class|function|const) (\w+)/gm)) {
+    names.add(name);
+  }
+  
+  for (const [, list] of source.matchAll(/^export \{([^}]+)\}/gm)) {
+    list.split(',').map(name => name.trim()).filter(Boolean).forEach(name => names.add(name));
+  }
+  
+  if (/^export default /m.test(source)) names.add('default');
+  
+  return names;
+}
+
+/**
+ * Get the members declared in the body of an exported class
+ * @param {string} source - Declaration file contents
+ * @param {string} name - Class name
+ * @returns {object} { instance, statics } member names
+ */
+function declaredMembers(source, name) {
+  const start = source.search(new RegExp(`^export class ${name}\\b`, 'm'));
+  const open = source.indexOf('{', start);
+  
+  // A class with an empty body, e.g. `export class UtCard extends HTMLElement {}`
+  const body = source[open + 1] === '}' ? '' : source.slice(open, source.indexOf('\n}', open));
+  const members = { instance: [], statics: [] };
+  
+  for (const [, isStatic, member] of body.matchAll(/^ {2}(static )?(\w+)\s*[(<]/gm)) {
+    members[isStatic ? 'statics' : 'instance'].push(member);
+  }
+  
+  return members;
+}
+
+test('every export of the entry point is declared', () => {
+  const declared = declaredValues(readDeclarations('unified-theme.d.ts'));
+  
+  assert.deepEqual(Object.keys(entry).filter(name => !declared.has(name)), []);
+});
+
+test('every export of the subpath modules is declared', () => {
+  const modules = {
+    'utilities/bootstrap.d.ts': bootstrap,
+    'utilities/elements.d.ts': elements
+  };
+  
+  for (const [path, module] of Object.entries(modules)) {
+    const declared = declaredValues(readDeclarations(path));
+    assert.deepEqual(Object.keys(module).filter(name => !declared.has(name)), [], path);
+  }
+});
+
+test('the methods declared on each class exist at runtime', () => {
+  const source = readDeclarations('unified-theme.d.ts');
+  
+  for (const [name, value] of Object.entries(entry)) {
+    if (typeof value !== 'function' || !/^[A-Z]/.test(name)) continue;
+    
+    const { instance, statics } = declaredMembers(source, name);
+    
+    assert.deepEqual(instance.filter(member => !(member in value.prototype)), [], `${name} methods`);
+    assert.deepEqual(statics.filter(member => typeof value[member] !== 'function'), [], `${name} static methods`);
+  }
+});
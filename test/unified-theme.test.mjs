@@ -0,0 +1,70 @@
+import { observers } from './dom.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// init() is called by each test
+window.unifiedThemeConfig = { autoInit: false };
+
+const { init, destroy } = await import('../src/unified-theme.js');
+
+// MutationObserver callbacks run as microtasks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Check whether an IntersectionObserver watches an element
+ * @param {HTMLElement} element - Element to check
+ */
+function isObserved(element) {
+  return observers.some(observer => observer.elements.has(element));
+}
+
+afterEach(() => {
+  destroy();
+  document.body.innerHTML = '';
+});
+
+test('data-animate elements rendered after init() are animated on scroll', async () => {
+  document.body.innerHTML = '<div data-animate="fadeIn" id="first"></div>';
+  init();
+  
+  assert.equal(isObserved(document.getElementById('first')), true);
+  
+  const section = document.createElement('section');
+  section.innerHTML = '<div data-animate="slideUp"></div><span data-counter data-counter-end="10"></span>';
+  document.body.appendChild(section);
+  await flush();
+  
+  assert.equal(isObserved(section.querySelector('[data-animate]')), true);
+  assert.equal(isObserved(section.querySelector('[data-counter]')), true);
+});
+
+test('removed data-animate elements stop being observed, moved ones do not', async () => {
+  document.body.innerHTML = `
+    <div>
+      <div data-animate="fadeIn" id="moved"></div>
+      <div data-animate="fadeIn" id="removed"></div>
+    </div>
+    <div id="other"></div>`;
+  init();
+  const moved = document.getElementById('moved');
+  const removed = document.getElementById('removed');
+  
+  document.getElementById('other').appendChild(moved);
+  removed.remove();
+  await flush();
+  
+  assert.equal(isObserved(moved), true);
+  assert.equal(isObserved(removed), false);
+});
+
+test('destroy() stops watching for new elements', async () => {
+  init();
+  destroy();
+  
+  const element = document.createElement('div');
+  element.setAttribute('data-animate', 'fadeIn');
+  document.body.appendChild(element);
+  await flush();
+  
+  assert.equal(isObserved(element), false);
+});